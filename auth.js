@@ -0,0 +1,26 @@
+// ===== auth.js =====
+// Sends the login token with every backend request and returns the user to
+// the login page once the session has expired.
+(function () {
+  const backendURL = "https://ict-reg.onrender.com";
+  const nativeFetch = window.fetch.bind(window);
+
+  window.fetch = async function (input, init = {}) {
+    const url = typeof input === "string" ? input : input.url;
+    const isBackend = String(url).startsWith(backendURL);
+    const token = localStorage.getItem("authToken");
+
+    if (isBackend && token) {
+      const headers = new Headers(init.headers || {});
+      if (!headers.has("Authorization")) headers.set("Authorization", `Bearer ${token}`);
+      init = { ...init, headers };
+    }
+
+    const res = await nativeFetch(input, init);
+    if (isBackend && res.status === 401) {
+      localStorage.clear();
+      window.location.href = "login.html";
+    }
+    return res;
+  };
+})();
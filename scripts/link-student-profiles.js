@@ -0,0 +1,117 @@
+// ===== scripts/link-student-profiles.js =====
+// Links every Student account to its StudentProfile by email
+// (Student.profile <-> StudentProfile.student) and reports what it could not link.
+//
+//   node scripts/link-student-profiles.js            apply the links
+//   node scripts/link-student-profiles.js --dry-run  report only, write nothing
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+const MONGO = process.env.MONGO_URI || process.env.MONGO || "";
+
+// Identity fields compared between the two documents; the account wins on mismatch
+const COMPARED_FIELDS = ["surname", "firstname", "middlename", "phone"];
+
+function normalize(value = "") {
+  return String(value || "").trim().toLowerCase();
+}
+
+async function run() {
+  await mongoose.connect(MONGO);
+  const db = mongoose.connection.db;
+  const studentsCol = db.collection("students");
+  const profilesCol = db.collection("studentprofiles");
+
+  const students = await studentsCol.find({}).toArray();
+  const profiles = await profilesCol.find({}).toArray();
+
+  const profilesByEmail = new Map();
+  for (const p of profiles) {
+    const key = normalize(p.email);
+    if (!profilesByEmail.has(key)) profilesByEmail.set(key, []);
+    profilesByEmail.get(key).push(p);
+  }
+  const profilesById = new Map(profiles.map(p => [String(p._id), p]));
+
+  const report = {
+    linked: [],
+    alreadyLinked: 0,
+    withoutProfile: [],
+    fieldDifferences: [],
+    conflicts: [],
+    orphanProfiles: [],
+  };
+  const claimed = new Map(); // profileId -> studentId
+
+  for (const s of students) {
+    const studentId = String(s._id);
+    const label = `${s.email} (${studentId})`;
+
+    if (s.profile) {
+      const linkedProfile = profilesById.get(String(s.profile));
+      if (linkedProfile && String(linkedProfile.student) === studentId) {
+        report.alreadyLinked += 1;
+        claimed.set(String(linkedProfile._id), studentId);
+      } else {
+        report.conflicts.push({ student: label, reason: "links to a missing or mismatched profile", profile: String(s.profile) });
+      }
+      continue;
+    }
+
+    const candidates = profilesByEmail.get(normalize(s.email)) || [];
+    if (!candidates.length) {
+      report.withoutProfile.push(label);
+      continue;
+    }
+    if (candidates.length > 1) {
+      report.conflicts.push({ student: label, reason: "several profiles share this email", profiles: candidates.map(p => String(p._id)) });
+      continue;
+    }
+
+    const profile = candidates[0];
+    const profileId = String(profile._id);
+    const owner = claimed.get(profileId) || (profile.student ? String(profile.student) : null);
+    if (owner && owner !== studentId) {
+      report.conflicts.push({ student: label, reason: "profile already belongs to another account", profile: profileId, owner });
+      continue;
+    }
+
+    const differences = COMPARED_FIELDS
+      .filter(f => profile[f] && s[f] && normalize(profile[f]) !== normalize(s[f]))
+      .map(f => ({ field: f, account: s[f], profile: profile[f] }));
+    if (differences.length) report.fieldDifferences.push({ student: label, profile: profileId, differences });
+
+    if (!dryRun) {
+      await studentsCol.updateOne({ _id: s._id }, { $set: { profile: profile._id } });
+      await profilesCol.updateOne({ _id: profile._id }, { $set: { student: s._id } });
+    }
+    claimed.set(profileId, studentId);
+    report.linked.push({ student: label, profile: profileId });
+  }
+
+  for (const p of profiles) {
+    if (!claimed.has(String(p._id)) && !p.student) {
+      report.orphanProfiles.push(`${p.email || "(no email)"} (${p._id}) matric ${p.matricNo || "-"}`);
+    }
+  }
+
+  console.log(dryRun ? "🔎 Dry run, nothing written" : "✅ Links written");
+  console.log(`Linked: ${report.linked.length}`);
+  console.log(`Already linked: ${report.alreadyLinked}`);
+  console.log(`Accounts without a profile: ${report.withoutProfile.length}`);
+  console.log(`Profiles without an account: ${report.orphanProfiles.length}`);
+  console.log(`Linked with field differences: ${report.fieldDifferences.length}`);
+  console.log(`Conflicts (not linked): ${report.conflicts.length}`);
+  console.log(JSON.stringify(report, null, 2));
+
+  await mongoose.disconnect();
+}
+
+run().catch(async (err) => {
+  console.error("❌ Migration failed:", err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
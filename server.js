@@ -15,6 +15,13 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { Readable } from "stream";
 import xlsx from "xlsx";
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import QRCode from "qrcode";
+import nodemailer from "nodemailer";
+import { promisify } from "util";
+import fs from "fs";
+import os from "os";
 
 dotenv.config();
 
@@ -23,6 +30,7 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+app.set("trust proxy", 1); // behind Render's proxy; keeps req.ip the client address
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(helmet());
@@ -45,6 +53,7 @@ app.use(
       return callback(null, true);
     },
     credentials: true, // if you use cookies or auth headers
+    exposedHeaders: ["Content-Disposition"], // lets pages name downloaded files
   })
 );
 
@@ -68,6 +77,66 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_SECRET,
 });
 
+// ====== Mailer ======
+// Transports share one shape: send({ to, subject, text }) -> Promise.
+// MAIL_TRANSPORT must be set explicitly:
+//   smtp     sends through SMTP_URL (or SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS) from MAIL_FROM
+//   console  logs messages; file appends them to MAIL_FILE. Both write reset links in
+//            full, so they are refused when NODE_ENV=production.
+// Without a transport the server runs but password reset requests are refused.
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+const DEV_ONLY_TRANSPORTS = ["console", "file"];
+
+const mailTransports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport(process.env.SMTP_URL || {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: Number(process.env.SMTP_PORT) === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    const from = process.env.MAIL_FROM || process.env.SMTP_USER;
+    return {
+      async send({ to, subject, text }) {
+        await transporter.sendMail({ from, to, subject, text });
+      },
+    };
+  },
+  console: () => ({
+    async send({ to, subject, text }) {
+      console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+    },
+  }),
+  file: () => {
+    const file = process.env.MAIL_FILE || path.join(os.tmpdir(), "ict-reg-mail.log");
+    return {
+      async send({ to, subject, text }) {
+        const entry = `--- ${new Date().toISOString()}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n\n`;
+        await fs.promises.appendFile(file, entry);
+      },
+    };
+  },
+};
+
+// null when no transport is configured
+function createMailer(name = process.env.MAIL_TRANSPORT) {
+  if (!name) {
+    console.warn("⚠️ MAIL_TRANSPORT not set, password reset emails are disabled");
+    return null;
+  }
+  const factory = mailTransports[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  if (IS_PRODUCTION && DEV_ONLY_TRANSPORTS.includes(name)) {
+    throw new Error(`MAIL_TRANSPORT=${name} writes reset tokens to ${name === "file" ? "disk" : "the log"} and is not allowed in production`);
+  }
+  if (name === "smtp" && !process.env.SMTP_URL && !process.env.SMTP_HOST) {
+    throw new Error("MAIL_TRANSPORT=smtp needs SMTP_URL or SMTP_HOST");
+  }
+  return factory();
+}
+
+const mailer = createMailer();
+
 // ====== Multer Storage (Cloudinary) ======
 const storage = new CloudinaryStorage({
   cloudinary,
@@ -84,21 +153,33 @@ const excelStorage = multer.memoryStorage();
 export const uploadExcel = multer({ storage: excelStorage });
 
 // ====== Schemas & Models ======
+// Collation for case-insensitive string matching/sorting (strength 2 ignores case)
+const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+// Never serialise password hashes, even when a query selected them explicitly
+function omitPassword(doc, ret) {
+  delete ret.password;
+  return ret;
+}
+
 const studentSchema = new mongoose.Schema({
   surname: { type: String, required: true, trim: true },
   firstname: { type: String, required: true, trim: true },
   middlename: { type: String, trim: true, default: "" },
   phone: { type: String, required: true, trim: true },
   email: { type: String, required: true, trim: true, lowercase: true },
-  password: { type: String, required: true, trim: true }, // 🔹 Added
+  password: { type: String, required: true, trim: true, select: false }, // scrypt hash, see hashPassword()
   passport: { type: String, required: true },
+  profile: { type: mongoose.Schema.Types.ObjectId, ref: "StudentProfile", default: null },
   dateRegistered: { type: Date, default: Date.now },
-});
+}, { toJSON: { transform: omitPassword } });
+studentSchema.index({ dateRegistered: -1 });
 
 const Student = mongoose.model("Student", studentSchema);
 
-// Student Profile Setup
+// Student Profile Setup (academic record, linked 1:1 to its Student account)
 const studentProfileSchema = new mongoose.Schema({
+  student: { type: mongoose.Schema.Types.ObjectId, ref: "Student", unique: true, sparse: true },
   verified: { type: Boolean, default: false },
   surname: String,
   firstname: String,
@@ -119,6 +200,8 @@ const studentProfileSchema = new mongoose.Schema({
   nokRelation: String,
   passport: String, // Cloudinary image URL
 }, { timestamps: true });
+// Backs the department/level/verified filters of GET /api/students (case-insensitive)
+studentProfileSchema.index({ department: 1, level: 1, verified: 1 }, { collation: CASE_INSENSITIVE });
 
 const StudentProfile = mongoose.model("StudentProfile", studentProfileSchema);
 
@@ -186,17 +269,53 @@ const DocumentSchema = new mongoose.Schema({
 
 const Document = mongoose.model("DocumentUpload", DocumentSchema);
 
+//========== Academic Session Schema =========
+// One academic year (e.g. "2025/2026") with its two semesters. Exactly one session is current;
+// courses, registrations, results and payments reference the session they belong to.
+const academicSessionSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true }, // 2025/2026
+  startDate: { type: Date },
+  endDate: { type: Date },
+  status: { type: String, enum: ["planned", "open", "closed"], default: "planned" },
+  isCurrent: { type: Boolean, default: false },
+  currentSemester: { type: Number, enum: [1, 2], default: 1 },
+  semesters: [
+    {
+      number: { type: Number, enum: [1, 2], required: true },
+      name: { type: String, required: true },     // First Semester, Second Semester
+      startDate: { type: Date },
+      endDate: { type: Date },
+    }
+  ],
+  openedAt: { type: Date },
+  closedAt: { type: Date },
+  resultsApprovedAt: { type: Date }, // set = results for this session are locked
+  resultsApprovedBy: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+}, { timestamps: true });
+academicSessionSchema.index({ isCurrent: 1 }, { unique: true, partialFilterExpression: { isCurrent: true } });
+
+const AcademicSession = mongoose.model("AcademicSession", academicSessionSchema);
+
 //========== Courses Schema =========
 const courseSchema = new mongoose.Schema({
   level: { type: String, required: true },        // ND1, ND2
   department: { type: String, required: true },   // Computer Science etc
   semester: { type: Number, required: true },     // 1 or 2
+  session: { type: mongoose.Schema.Types.ObjectId, ref: "AcademicSession" }, // unset = offered every session
   courses: [
     {
       code: { type: String, required: true },
       title: { type: String, required: true },
       unit: { type: Number, required: true },
-      lecturer: { type: String, required: true }
+      lecturer: { type: String, required: true },
+      // Courses that must be passed first, optionally with at least minGrade
+      prerequisites: [
+        {
+          code: { type: String, required: true, trim: true, uppercase: true },
+          minGrade: { type: String, trim: true, uppercase: true, default: "" },
+        }
+      ]
     }
   ],
   createdAt: { type: Date, default: Date.now }
@@ -210,7 +329,7 @@ const adminSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   phone: { type: String, required: true },
   department: { type: String, required: true },
-  password: { type: String, required: true },
+  password: { type: String, required: true, select: false }, // scrypt hash, see hashPassword()
   passport: { type: String, required: true },
   role: {
     type: String,
@@ -218,7 +337,7 @@ const adminSchema = new mongoose.Schema({
     default: "Admin"
   },
   dateRegistered: { type: Date, default: Date.now },
-});
+}, { toJSON: { transform: omitPassword } });
 
 const Admin = mongoose.model("Admin", adminSchema);
 
@@ -232,13 +351,78 @@ const resultSchema = new mongoose.Schema({
   courseCode: String,
   courseTitle: String,
   semester: String,
+  session: { type: mongoose.Schema.Types.ObjectId, ref: "AcademicSession" },
   score: Number,
   grade: String,
+  gradePoint: Number,
+  gradingScale: { type: mongoose.Schema.Types.ObjectId, ref: "GradingScale" }, // version used; empty = built-in default
+  uploadBatch: { type: mongoose.Schema.Types.ObjectId, ref: "ResultUpload" }, // upload that last wrote it
+  published: { type: Boolean }, // false until its upload batch is published; unset on older results = published
   uploadedAt: { type: Date, default: Date.now },
 });
+// One result per course per student per session and semester
+resultSchema.index({ matricNo: 1, courseCode: 1, session: 1, semester: 1 }, { unique: true });
 
 const Result = mongoose.model("Result", resultSchema);
 
+// === Result Upload Schema ===
+// One per /api/upload-results commit; enough to roll it back. Each batch moves
+// draft -> submitted -> hod-approved -> approved -> published (see RESULT_STAGE_ACTIONS)
+const ResultUploadSchema = new mongoose.Schema({
+  session: { type: mongoose.Schema.Types.ObjectId, ref: "AcademicSession" },
+  fileName: { type: String },
+  uploadedBy: { type: String },
+  rowCount: { type: Number },
+  departments: [{ type: String }],
+  stage: {
+    type: String,
+    enum: ["draft", "submitted", "hod-approved", "approved", "published"],
+    default: "draft",
+  },
+  approvals: [
+    {
+      action: { type: String },
+      from: { type: String },
+      to: { type: String },
+      by: { type: String },
+      role: { type: String },
+      comment: { type: String },
+      at: { type: Date, default: Date.now },
+    }
+  ],
+  publishedAt: { type: Date },
+  created: [{ type: mongoose.Schema.Types.ObjectId, ref: "Result" }],
+  updated: [
+    {
+      result: { type: mongoose.Schema.Types.ObjectId, ref: "Result" },
+      previous: { type: mongoose.Schema.Types.Mixed }, // fields before the upload
+    }
+  ],
+  status: { type: String, enum: ["committed", "rolled-back"], default: "committed" },
+  rolledBackAt: { type: Date },
+  rolledBackBy: { type: String },
+}, { timestamps: true });
+
+const ResultUpload = mongoose.model("ResultUpload", ResultUploadSchema);
+
+// === Result History Schema ===
+// Audit trail of every change to a Result
+const ResultHistorySchema = new mongoose.Schema({
+  result: { type: mongoose.Schema.Types.ObjectId, ref: "Result", index: true },
+  matricNo: { type: String },
+  courseCode: { type: String },
+  session: { type: mongoose.Schema.Types.ObjectId, ref: "AcademicSession" },
+  action: { type: String, enum: ["update", "delete", "upload", "rollback"], required: true },
+  old: { type: mongoose.Schema.Types.Mixed },
+  new: { type: mongoose.Schema.Types.Mixed },
+  changedBy: { type: String },
+  role: { type: String },
+  reason: { type: String },
+  override: { type: Boolean, default: false }, // edit of a locked session
+}, { timestamps: true });
+
+const ResultHistory = mongoose.model("ResultHistory", ResultHistorySchema);
+
 // ====== O'level Schema
 const oLevelSchema = new mongoose.Schema({
   matricNumber: {
@@ -267,12 +451,56 @@ const CoursePinSchema = new mongoose.Schema({
   courseCode: { type: String, required: true },
   courseTitle: { type: String, required: true },
   pin: { type: String, required: true, unique: true },
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: "PinBatch", index: true },
+  serial: { type: String }, // printed on the card, e.g. B0007-0042
+  expiresAt: { type: Date }, // copied from the batch
+  voided: { type: Boolean, default: false },
   used: { type: Boolean, default: false },
+  usedBy: { type: String }, // matric number of the redeeming student
+  usedAt: { type: Date },
+  registration: { type: mongoose.Schema.Types.ObjectId, ref: "CourseRegistration" },
   createdAt: { type: Date, default: Date.now }
 });
 
 const CoursePin = mongoose.model("CoursePin", CoursePinSchema);
 
+// === Pin Batch Schema ===
+// Each generate call creates one named batch of pins
+const PinBatchSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  number: { type: Number, required: true, unique: true }, // used in card serials
+  courseCode: { type: String, required: true },
+  courseTitle: { type: String, required: true },
+  count: { type: Number, required: true },
+  format: { type: String, required: true },
+  price: { type: Number, min: 0 },
+  expiresAt: { type: Date },
+  createdBy: { type: String }, // admin email
+  status: { type: String, enum: ["active", "void"], default: "active" },
+  voidedAt: { type: Date },
+  voidedBy: { type: String },
+  voidReason: { type: String },
+}, { timestamps: true });
+
+const PinBatch = mongoose.model("PinBatch", PinBatchSchema);
+
+// === Archived Record Schema ===
+// Copies of bulk-deleted documents, restorable until expiresAt (TTL)
+const ARCHIVE_RETENTION_DAYS = Number(process.env.ARCHIVE_RETENTION_DAYS) || 30;
+
+const ArchivedRecordSchema = new mongoose.Schema({
+  kind: { type: String, required: true }, // e.g. "course-pins"
+  operation: { type: String, required: true, index: true }, // one per delete call
+  originalId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  data: { type: mongoose.Schema.Types.Mixed, required: true },
+  deletedBy: { type: String },
+  reason: { type: String },
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+ArchivedRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ArchivedRecord = mongoose.model("ArchivedRecord", ArchivedRecordSchema);
+
 // === Course Registration Schema ===
 const CourseRegistrationSchema = new mongoose.Schema({
   matricNumber: { type: String, required: true },
@@ -282,13 +510,115 @@ const CourseRegistrationSchema = new mongoose.Schema({
   courseCode: { type: String, required: true },
   courseTitle: { type: String, required: true },
   semester: { type: Number, required: true },
+  session: { type: mongoose.Schema.Types.ObjectId, ref: "AcademicSession" },
+  unit: { type: Number }, // credit units at the time of registration
   pinUsed: { type: String, required: true },
+  late: { type: Boolean, default: false }, // registered during a window's late period
   registeredAt: { type: Date, default: Date.now }
 });
+// One registration per course per session
+CourseRegistrationSchema.index({ matricNumber: 1, courseCode: 1, session: 1 }, { unique: true });
 
 const CourseRegistration = mongoose.model("CourseRegistration", CourseRegistrationSchema);
 
+// === Registration Window Schema ===
+// When course registration is open for a session + semester. Blank department/level means
+// "all"; the most specific matching window wins. lateEndDate (optional) extends endDate with
+// a late period whose registrations are flagged.
+const RegistrationWindowSchema = new mongoose.Schema({
+  session: { type: mongoose.Schema.Types.ObjectId, ref: "AcademicSession", required: true },
+  semester: { type: Number, enum: [1, 2], required: true },
+  department: { type: String, trim: true, default: "" },
+  level: { type: String, trim: true, default: "" },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  lateEndDate: { type: Date, default: null },
+  notes: { type: String, default: "" },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+}, { timestamps: true });
+RegistrationWindowSchema.index({ session: 1, semester: 1 });
+
+const RegistrationWindow = mongoose.model("RegistrationWindow", RegistrationWindowSchema);
+
+// === Unit Limit Schema ===
+// Minimum/maximum credit units a student may register per semester at a level.
+// Blank department means every department; a department-specific limit wins.
+const UnitLimitSchema = new mongoose.Schema({
+  level: { type: String, required: true, trim: true },
+  semester: { type: Number, enum: [1, 2], required: true },
+  department: { type: String, trim: true, default: "" },
+  minUnits: { type: Number, required: true, min: 0 },
+  maxUnits: { type: Number, required: true, min: 1 },
+}, { timestamps: true });
+UnitLimitSchema.index({ level: 1, semester: 1, department: 1 }, { unique: true, collation: CASE_INSENSITIVE });
+
+const UnitLimit = mongoose.model("UnitLimit", UnitLimitSchema);
+
+// === Grading Scale Schema ===
+// Score bands -> letter grade and grade points. A scale applies to a session
+// (empty = every session), department and level (blank = all); editing a scale
+// saves a new version and retires the old one, so existing results keep the
+// version they were graded with.
+const GradeBandSchema = new mongoose.Schema({
+  min: { type: Number, required: true, min: 0, max: 100 },
+  max: { type: Number, required: true, min: 0, max: 100 },
+  grade: { type: String, required: true, trim: true, uppercase: true },
+  points: { type: Number, required: true, min: 0 },
+  pass: { type: Boolean, default: true },
+}, { _id: false });
+
+const GradingScaleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  session: { type: mongoose.Schema.Types.ObjectId, ref: "AcademicSession", default: null },
+  department: { type: String, trim: true, default: "" },
+  level: { type: String, trim: true, default: "" },
+  version: { type: Number, default: 1 },
+  bands: { type: [GradeBandSchema], required: true },
+  createdBy: { type: String },
+  retiredAt: { type: Date, default: null },
+  replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "GradingScale" },
+}, { timestamps: true });
+GradingScaleSchema.index({ session: 1, department: 1, level: 1, retiredAt: 1 });
+
+const GradingScale = mongoose.model("GradingScale", GradingScaleSchema);
+
+// === Issued Document Schema ===
+// Every generated transcript, slip or receipt, looked up by its verification code
+const IssuedDocumentSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  type: { type: String, enum: ["transcript", "result-slip", "exam-slip", "receipt"], required: true },
+  matricNo: { type: String, required: true },
+  session: { type: mongoose.Schema.Types.ObjectId, ref: "AcademicSession" },
+  semester: { type: Number },
+  reference: { type: String }, // e.g. Payment.systemPaymentId for receipts
+  details: { type: mongoose.Schema.Types.Mixed }, // key figures printed on the document
+  issuedBy: { type: String },
+}, { timestamps: true });
+
+const IssuedDocument = mongoose.model("IssuedDocument", IssuedDocumentSchema);
+
+// === Fee Schedule Schema ===
+// What a student owes for one fee item in a session. Blank department/level
+// apply to everyone; the most specific schedule wins. Items mirror the fee
+// uploads in DocumentSchema.files: tuition (fee1-fee4), acceptance
+// (acceptanceFee), departmental (deptFee) and ICT (ict1-ict4).
+const FEE_ITEMS = ["tuition", "acceptance", "departmental", "ict"];
+const FeeScheduleSchema = new mongoose.Schema({
+  session: { type: mongoose.Schema.Types.ObjectId, ref: "AcademicSession", required: true },
+  department: { type: String, trim: true, default: "" },
+  level: { type: String, trim: true, default: "" },
+  item: { type: String, enum: FEE_ITEMS, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  updatedBy: { type: String },
+}, { timestamps: true });
+FeeScheduleSchema.index({ session: 1, department: 1, level: 1, item: 1 }, { unique: true, collation: CASE_INSENSITIVE });
+
+const FeeSchedule = mongoose.model("FeeSchedule", FeeScheduleSchema);
+
 //======= Payment Schema ========
+const PAYMENT_TYPES = ["Part Payment", "Balance Payment", "Full Payment"];
+const PAYMENT_SEMESTERS = ["First Semester", "Second Semester"];
+
 const PaymentSchema = new mongoose.Schema({
   matricNumber: { type: String, required: true },
   studentName: { type: String, required: true },
@@ -298,24 +628,72 @@ const PaymentSchema = new mongoose.Schema({
   amount: { type: Number, required: true },
   paymentType: { 
     type: String, 
-    enum: ["Part Payment", "Balance Payment", "Full Payment"], 
+    enum: PAYMENT_TYPES, 
     required: true 
   },
+  feeItem: { type: String, enum: FEE_ITEMS, default: "tuition" }, // payments before fee items were tuition
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  cashierName: { type: String },
   semester: { 
     type: String, 
-    enum: ["First Semester", "Second Semester"], 
+    enum: PAYMENT_SEMESTERS, 
     required: true 
   },
+  session: { type: mongoose.Schema.Types.ObjectId, ref: "AcademicSession" },
   systemPaymentId: { type: String, required: true, unique: true },
   createdAt: { type: Date, default: Date.now }
 });
 
 const Payment = mongoose.model("Payment", PaymentSchema);
 
+// === Counter Schema ===
+// Named sequences incremented atomically with $inc (e.g. receipt numbers per session)
+const CounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  seq: { type: Number, default: 0 },
+});
+
+const Counter = mongoose.model("Counter", CounterSchema);
+
+//======= Password Reset Token Schema ========
+// Only the SHA-256 of the emailed token is stored; expired tokens are removed by the TTL index
+const PasswordResetSchema = new mongoose.Schema({
+  accountType: { type: String, enum: ["Student", "Admin"], required: true },
+  accountId: { type: mongoose.Schema.Types.ObjectId, refPath: "accountType", required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  requestedIp: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+PasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordReset = mongoose.model("PasswordReset", PasswordResetSchema);
+
+//======= Login Attempt Schema ========
+// One document per throttling key ("account:<email>" or "ip:<address>")
+const LoginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  type: { type: String, enum: ["account", "ip"], required: true },
+  email: { type: String },
+  lastIp: { type: String },
+  failures: { type: Number, default: 0 },
+  lastFailureAt: { type: Date },
+  lockedUntil: { type: Date, default: null },
+  expiresAt: { type: Date, required: true }
+});
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", LoginAttemptSchema);
+
 // ====== Utility Functions ======
 function normalizeEmail(email = "") {
   return String(email || "").trim().toLowerCase();
 }
+// Passwords are trimmed on every write and on login, so stray whitespace never locks anyone out
+function normalizePassword(password = "") {
+  return String(password ?? "").trim();
+}
 function normalizePhone(phone = "") {
   return String(phone || "").trim();
 }
@@ -326,6 +704,223 @@ function isValidPhone(phone = "") {
 function isValidEmail(email = "") {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
+function escapeRegex(text = "") {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "1", 1, "First Semester", "first", "2nd" ... -> 1 | 2 (null when unrecognised)
+function semesterNumber(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text) return null;
+  if (text === "1" || text.startsWith("first") || text.startsWith("1st")) return 1;
+  if (text === "2" || text.startsWith("second") || text.startsWith("2nd")) return 2;
+  return null;
+}
+
+// ====== Academic Sessions ======
+async function currentSession() {
+  return AcademicSession.findOne({ isCurrent: true }).lean();
+}
+
+// Accepts an AcademicSession id or name ("2025/2026"); empty falls back to the current session
+async function resolveSession(value) {
+  if (!value) return currentSession();
+  const text = String(value).trim();
+  if (mongoose.isValidObjectId(text)) return AcademicSession.findById(text).lean();
+  return AcademicSession.findOne({ name: text }).lean();
+}
+
+// For routes that create records: { session } or { error } ready to send as a 400
+async function sessionForWrite(value) {
+  const session = await resolveSession(value);
+  if (value && !session) return { error: `Academic session not found: ${value}` };
+  if (session && session.status === "closed") return { error: `Academic session ${session.name} is closed` };
+  return { session };
+}
+
+// ====== Student Record ======
+// Student is the account (identity, contact, passport); StudentProfile holds the academic data.
+// They reference each other (Student.profile <-> StudentProfile.student) and every route reads
+// students through toStudentRecord() so responses share one shape.
+// Existing data is linked by scripts/link-student-profiles.js.
+const PROFILE_FIELDS = [
+  "dob", "department", "regNo", "matricNo", "level", "stateOrigin", "lgaOrigin", "address",
+  "nokSurname", "nokFirstname", "nokPhone", "nokRelation",
+];
+
+function toStudentRecord(student, profile) {
+  const account = student || {};
+  const academic = profile || {};
+
+  const record = {
+    _id: account._id || null,
+    profileId: academic._id || null,
+    surname: account.surname || academic.surname || "",
+    firstname: account.firstname || academic.firstname || "",
+    middlename: account.middlename || academic.middlename || "",
+    email: account.email || academic.email || "",
+    phone: account.phone || academic.phone || "",
+    passport: account.passport || academic.passport || "",
+    dateRegistered: account.dateRegistered || null,
+    verified: !!academic.verified,
+  };
+  for (const field of PROFILE_FIELDS) record[field] = academic[field] || "";
+  record.fullname = [record.surname, record.firstname, record.middlename].filter(Boolean).join(" ");
+  return record;
+}
+
+// filter applies to Student, e.g. { _id } or { email }
+async function findStudentRecord(filter) {
+  const student = await Student.findOne(filter).populate("profile").lean();
+  if (!student) return null;
+  return toStudentRecord(student, student.profile);
+}
+
+async function findStudentRecordByMatric(matricNo) {
+  const profile = await StudentProfile.findOne({ matricNo: String(matricNo || "").trim() })
+    .populate("student")
+    .lean();
+  if (!profile) return null;
+  return toStudentRecord(profile.student, profile);
+}
+
+// ====== Password Hashing ======
+// Stored as "scrypt$<salt>$<hash>"; anything else is a legacy plaintext password
+const scrypt = promisify(crypto.scrypt);
+const PASSWORD_SCHEME = "scrypt";
+const PASSWORD_KEYLEN = 64;
+
+async function hashPassword(plain) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(String(plain), salt, PASSWORD_KEYLEN);
+  return `${PASSWORD_SCHEME}$${salt}$${hash.toString("hex")}`;
+}
+
+function isHashedPassword(stored = "") {
+  return String(stored).startsWith(`${PASSWORD_SCHEME}$`);
+}
+
+// Resolves { ok, legacy } so callers can rehash plaintext passwords after login
+async function verifyPassword(plain, stored = "") {
+  if (!stored) return { ok: false, legacy: false };
+
+  if (!isHashedPassword(stored)) {
+    // Compare digests so the timing does not depend on the stored length
+    const a = crypto.createHash("sha256").update(String(plain)).digest();
+    const b = crypto.createHash("sha256").update(String(stored)).digest();
+    return { ok: crypto.timingSafeEqual(a, b), legacy: true };
+  }
+
+  const [, salt, hex] = stored.split("$");
+  const expected = Buffer.from(hex, "hex");
+  const actual = await scrypt(String(plain), salt, expected.length);
+  return { ok: crypto.timingSafeEqual(actual, expected), legacy: false };
+}
+
+// ====== Rate Limiting (in-memory, per process) ======
+function rateLimit({ windowMs, max, message, keyFn = (req) => req.ip }) {
+  const hits = new Map();
+  return (req, res, next) => {
+    const now = Date.now();
+    if (hits.size > 10000) {
+      for (const [key, entry] of hits) if (entry.resetAt <= now) hits.delete(key);
+    }
+
+    const key = keyFn(req);
+    const entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      hits.set(key, { count: 1, resetAt: now + windowMs });
+      return next();
+    }
+
+    entry.count += 1;
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ success: false, message });
+    }
+    next();
+  };
+}
+
+// ====== Auth (signed tokens + role guards) ======
+const ADMIN_ROLES = ["Super Admin", "Head Admin", "Admin"];
+const STAFF_ROLES = [...ADMIN_ROLES, "Cashier"];
+const STUDENT_ROLE = "student";
+
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  if (IS_PRODUCTION) throw new Error("JWT_SECRET must be set when NODE_ENV=production");
+  // Tokens signed with a throwaway secret stop working on restart
+  JWT_SECRET = crypto.randomBytes(32).toString("hex");
+  console.warn("⚠️ JWT_SECRET not set, using a temporary secret for this process");
+}
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "12h";
+
+function signToken(account, role) {
+  return jwt.sign(
+    { sub: String(account._id), role, email: account.email },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+// Verifies "Authorization: Bearer <token>" and exposes the caller as req.auth
+function requireAuth(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ success: false, message: "Authentication required" });
+  }
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.auth = { id: payload.sub, role: payload.role, email: payload.email };
+    next();
+  } catch (err) {
+    return res.status(401).json({ success: false, message: "Session expired, please log in again" });
+  }
+}
+
+// requireRole("Super Admin", "Cashier") -> [requireAuth, role check]
+function requireRole(...roles) {
+  return [
+    requireAuth,
+    (req, res, next) => {
+      if (!roles.includes(req.auth.role)) {
+        return res.status(403).json({ success: false, message: "You do not have access to this resource" });
+      }
+      next();
+    },
+  ];
+}
+
+// Matric number of the logged-in student
+async function studentMatricNo(req) {
+  const student = await Student.findById(req.auth.id).populate("profile").lean();
+  return student?.profile?.matricNo || "";
+}
+
+// Students may only touch their own account; staff pass straight through
+function ownStudentId(pick) {
+  return (req, res, next) => {
+    if (req.auth.role !== STUDENT_ROLE) return next();
+    if (String(pick(req) || "") === req.auth.id) return next();
+    return res.status(403).json({ success: false, message: "You can only access your own records" });
+  };
+}
+
+function ownMatricNo(pick) {
+  return async (req, res, next) => {
+    if (req.auth.role !== STUDENT_ROLE) return next();
+    try {
+      const own = await studentMatricNo(req);
+      const requested = String(pick(req) || "").trim().toUpperCase();
+      if (own && own.trim().toUpperCase() === requested) return next();
+      return res.status(403).json({ success: false, message: "You can only access your own records" });
+    } catch (err) {
+      console.error("❌ ownership check error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  };
+}
 
 
 // ====== Routes ======
@@ -334,7 +929,7 @@ function isValidEmail(email = "") {
 app.get("/api/health", (req, res) => res.json({ ok: true, ts: new Date().toISOString() }));
 
 // Upload single file (returns Cloudinary URL)
-app.post("/api/students/upload-single", upload.any(), async (req, res) => {
+app.post("/api/students/upload-single", requireAuth, upload.any(), async (req, res) => {
   try {
     if (!req.files || !req.files.length) {
       return res.status(400).json({ success: false, message: "No file uploaded" });
@@ -413,7 +1008,7 @@ app.post("/api/students/register", upload.single("passport"), async (req, res) =
       middlename: middlename ? String(middlename).trim() : "",
       phone: trimmedPhone,
       email: trimmedEmail,
-      password: password.trim(), // 🔹 Added
+      password: await hashPassword(normalizePassword(password)),
       passport: passportUrl,
     });
 
@@ -435,39 +1030,145 @@ app.post("/api/students/register", upload.single("passport"), async (req, res) =
   }
 });
 
+// ======== Login Throttling ========
+// Failed logins are counted per account (email) and per client IP. Counters expire after
+// LOGIN_WINDOW_MINUTES without failures; reaching the limit locks the key for LOGIN_LOCK_MINUTES.
+const LOGIN_MAX_ACCOUNT_FAILURES = Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5;
+const LOGIN_MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+const LOGIN_WINDOW_MINUTES = Number(process.env.LOGIN_WINDOW_MINUTES) || 15;
+const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const LOGIN_FAILED_MESSAGE = "Invalid email or password";
+
+// Checked against when the email is unknown so both failure paths cost the same
+let dummyPasswordHash = null;
+
+async function activeLockout(keys) {
+  return LoginAttempt.findOne({ key: { $in: keys }, lockedUntil: { $gt: new Date() } })
+    .sort({ lockedUntil: -1 })
+    .lean();
+}
+
+async function recordLoginFailure(key, type, email, ip) {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + LOGIN_WINDOW_MINUTES * 60 * 1000);
+
+  // Pipeline update: restart the count when the previous window has already lapsed
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        type,
+        email,
+        lastIp: ip,
+        lastFailureAt: now,
+        failures: { $cond: [{ $gt: ["$expiresAt", now] }, { $add: ["$failures", 1] }, 1] },
+        expiresAt: windowEnd,
+      },
+    }],
+    { upsert: true, new: true }
+  );
+
+  const max = type === "ip" ? LOGIN_MAX_IP_FAILURES : LOGIN_MAX_ACCOUNT_FAILURES;
+  if (attempt.failures >= max) {
+    const lockedUntil = new Date(now.getTime() + LOGIN_LOCK_MINUTES * 60 * 1000);
+    await LoginAttempt.updateOne(
+      { _id: attempt._id },
+      { lockedUntil, failures: 0, expiresAt: lockedUntil > windowEnd ? lockedUntil : windowEnd }
+    );
+  }
+}
+
+function rejectLocked(res, lock) {
+  const seconds = Math.max(1, Math.ceil((new Date(lock.lockedUntil) - Date.now()) / 1000));
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({ message: "Too many failed login attempts. Please try again later." });
+}
+
 // ======== Universal Login (Student + Admin + Super Admin) ========
 app.post("/api/universal-login", async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const email = normalizeEmail(req.body.email);
+    const password = normalizePassword(req.body.password);
+    const accountKey = `account:${email}`;
+    const ipKey = `ip:${req.ip}`;
+
+    const lock = await activeLockout([accountKey, ipKey]);
+    if (lock) return rejectLocked(res, lock);
+
+    // 1️⃣ Check students, 2️⃣ then admins
+    let role = STUDENT_ROLE;
+    let Model = Student;
+    let user = await Student.findOne({ email }).select("+password");
+    if (!user) {
+      // Admin emails are stored as entered
+      user = await Admin.findOne({ email }).collation(CASE_INSENSITIVE).select("+password");
+      Model = Admin;
+      role = user?.role;
+    }
 
-    // 1️⃣ Check students
-    const student = await Student.findOne({ email });
-    if (student) {
-      if (student.password !== password) {
-        return res.status(401).json({ message: "Incorrect password" });
-      }
-      return res.json({ role: "student", user: student });
+    if (!dummyPasswordHash) dummyPasswordHash = await hashPassword(crypto.randomBytes(16).toString("hex"));
+    const check = await verifyPassword(password, user ? user.password : dummyPasswordHash);
+
+    if (!user || !check.ok) {
+      await recordLoginFailure(accountKey, "account", email, req.ip);
+      await recordLoginFailure(ipKey, "ip", "", req.ip);
+      return res.status(401).json({ message: LOGIN_FAILED_MESSAGE });
     }
 
-    // 2️⃣ Check admins
-    const admin = await Admin.findOne({ email });
-    if (admin) {
-      if (admin.password !== password) {
-        return res.status(401).json({ message: "Incorrect password" });
-      }
-      return res.json({ role: admin.role, user: admin });
+    await LoginAttempt.deleteOne({ key: accountKey });
+    if (check.legacy) {
+      await Model.updateOne({ _id: user._id }, { password: await hashPassword(password) });
     }
 
-    res.status(404).json({ message: "No account found with this email" });
+    return res.json({ role, user, token: signToken(user, role) });
   } catch (err) {
     console.error("❌ Universal login error:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// ======== Login Lockouts (Super Admin) ========
+// ?all=true also lists keys that have failures but are not locked yet
+app.get("/api/admin/login-lockouts", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const now = new Date();
+    const query = req.query.all === "true"
+      ? { $or: [{ lockedUntil: { $gt: now } }, { expiresAt: { $gt: now } }] }
+      : { lockedUntil: { $gt: now } };
+
+    const attempts = await LoginAttempt.find(query).sort({ lockedUntil: -1, lastFailureAt: -1 }).lean();
+    res.json({ success: true, data: attempts });
+  } catch (err) {
+    console.error("❌ List lockouts error:", err);
+    res.status(500).json({ success: false, message: "Failed to load lockouts" });
+  }
+});
+
+app.delete("/api/admin/login-lockouts/:id", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const deleted = await LoginAttempt.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, message: "Lockout not found" });
+    res.json({ success: true, message: "Lockout cleared" });
+  } catch (err) {
+    console.error("❌ Clear lockout error:", err);
+    res.status(500).json({ success: false, message: "Failed to clear lockout" });
+  }
+});
+
+// Clear every lockout (e.g. after a false alarm)
+app.delete("/api/admin/login-lockouts", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const result = await LoginAttempt.deleteMany({});
+    res.json({ success: true, message: `Cleared ${result.deletedCount} lockout record(s)` });
+  } catch (err) {
+    console.error("❌ Clear lockouts error:", err);
+    res.status(500).json({ success: false, message: "Failed to clear lockouts" });
+  }
+});
+
 
 // ====== 📦 Route: Upload all documents ======
-app.post("/upload-documents", upload.any(), async (req, res) => {
+app.post("/upload-documents", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), upload.any(), ownStudentId(req => req.body.studentId), async (req, res) => {
   try {
     const { studentId, matricNumber, olevelData, jambRegNo, jambScore } = req.body;
 
@@ -556,7 +1257,7 @@ if (jambRegNo || jambScore) {
 });
 
 //======== Fetch Uploaded Documents =======
-app.get("/api/documents/:studentId", async (req, res) => {
+app.get("/api/documents/:studentId", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), ownStudentId(req => req.params.studentId), async (req, res) => {
   try {
     const doc = await Document.findOne({ studentId: req.params.studentId });
     if (!doc) return res.json({ success: false, message: "No record found" });
@@ -567,7 +1268,7 @@ app.get("/api/documents/:studentId", async (req, res) => {
 });
 
 // Profile Update Route
-app.post("/api/profile/update", upload.single("passport"), async (req, res) => {
+app.post("/api/profile/update", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), upload.single("passport"), ownStudentId(req => req.body.studentId), async (req, res) => {
   try {
     const body = req.body;
     const studentId = body.studentId;
@@ -588,20 +1289,30 @@ app.post("/api/profile/update", upload.single("passport"), async (req, res) => {
       passportUrl = req.file.path || req.file.secure_url;
     }
 
-    // 🔹 Only set regNo if provided, otherwise generate one
-    let regNo = body.regNo;
+    const existingProfile = await StudentProfile.findOne({ student: student._id }).lean();
+
+    // 🔹 Only set regNo if provided (or already assigned), otherwise generate one
+    let regNo = body.regNo || existingProfile?.regNo;
     if (!regNo) {
       const prefix = (body.department || "STD").split(" ").map(w => w[0]).join("").substring(0,3).toUpperCase();
       const random = Math.floor(10000 + Math.random() * 90000);
       regNo = `Reg/${prefix}/${random}`;
     }
-     const matricNo = body.matricNo || student.matricNo; // fallback to existing
+    const matricNo = body.matricNo || existingProfile?.matricNo; // fallback to existing
 
-    // Update or create profile
+    // Identity fields live on the account
+    student.surname = body.surname || student.surname;
+    student.firstname = body.firstname || student.firstname;
+    student.middlename = body.middlename || student.middlename;
+    student.phone = body.phone || student.phone;
+    student.passport = passportUrl;
+
+    // Update or create the linked profile
     const updatedProfile = await StudentProfile.findOneAndUpdate(
-      { email: student.email },
+      { student: student._id },
       {
         $set: {
+          student: student._id,
           surname: body.surname || student.surname,
           firstname: body.firstname || student.firstname,
           middlename: body.middlename || student.middlename,
@@ -625,10 +1336,13 @@ app.post("/api/profile/update", upload.single("passport"), async (req, res) => {
       { new: true, upsert: true } // create if not exists
     );
 
+    student.profile = updatedProfile._id;
+    await student.save();
+
     res.json({
       success: true,
       message: "Profile updated successfully",
-      data: updatedProfile,
+      data: toStudentRecord(student.toObject(), updatedProfile.toObject()),
     });
 
   } catch (err) {
@@ -638,10 +1352,13 @@ app.post("/api/profile/update", upload.single("passport"), async (req, res) => {
 });
 
 // ✅ Get Student Profile by RegNo
-app.get("/api/profile/:regNo", async (req, res) => {
+app.get("/api/profile/:regNo", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), async (req, res) => {
   try {
     const student = await StudentProfile.findOne({ regNo: req.params.regNo });
     if (!student) return res.status(404).json({ success: false, message: "Student not found" });
+    if (req.auth.role === STUDENT_ROLE && String(student.student) !== req.auth.id) {
+      return res.status(403).json({ success: false, message: "You can only access your own records" });
+    }
     res.json({ success: true, data: student });
   } catch (err) {
     console.error("Error fetching profile:", err);
@@ -650,75 +1367,164 @@ app.get("/api/profile/:regNo", async (req, res) => {
 });
 
 // ✅ Optional: Get Profile by Reg No (for prefill)
-app.get("/api/profile/:regNo", async (req, res) => {
+app.get("/api/profile/:regNo", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), async (req, res) => {
   try {
     const student = await StudentProfile.findOne({ regNo: req.params.regNo });
     if (!student) return res.status(404).json({ success: false, message: "Profile not found" });
+    if (req.auth.role === STUDENT_ROLE && String(student.student) !== req.auth.id) {
+      return res.status(403).json({ success: false, message: "You can only access your own records" });
+    }
     res.json({ success: true, data: student });
   } catch (err) {
     res.status(500).json({ success: false, message: "Server error", error: err.message });
   }
 });
 
-// ✅ Admin route: list students with profile fields merged
-app.get("/api/students", async (req, res) => {
-  try {
-    const { q = "", department = "", level = "", page = 1, limit = 50 } = req.query;
-    const perPage = Math.max(1, parseInt(limit, 10));
-    const skip = (Math.max(1, parseInt(page, 10)) - 1) * perPage;
+// ✅ Admin route: list students (account + linked profile), searched, filtered and paged in MongoDB
+// Query: q, department, level, verified=true|false, from/to (dateRegistered),
+//        sort=<STUDENT_SORT_FIELDS> & order=asc|desc,
+//        page + limit (offset paging) or cursor + limit (keyset paging, see nextCursor)
+const STUDENT_SORT_FIELDS = ["dateRegistered", "surname", "firstname", "matricNo", "department", "level"];
+const STUDENT_LIST_MAX_LIMIT = 500;
+
+// $project mirroring toStudentRecord(); prefixes say where account/profile sit in the pipeline
+function studentRecordStage(accountPrefix, profilePrefix) {
+  const a = (f) => `$${accountPrefix}${f}`;
+  const p = (f) => `$${profilePrefix}${f}`;
+  const project = {
+    _id: a("_id"),
+    profileId: { $ifNull: [p("_id"), null] },
+    surname: { $ifNull: [a("surname"), p("surname"), ""] },
+    firstname: { $ifNull: [a("firstname"), p("firstname"), ""] },
+    middlename: { $ifNull: [a("middlename"), p("middlename"), ""] },
+    email: { $ifNull: [a("email"), p("email"), ""] },
+    phone: { $ifNull: [a("phone"), p("phone"), ""] },
+    passport: { $ifNull: [a("passport"), p("passport"), ""] },
+    dateRegistered: { $ifNull: [a("dateRegistered"), null] },
+    verified: { $eq: [p("verified"), true] },
+  };
+  for (const field of PROFILE_FIELDS) project[field] = { $ifNull: [p(field), ""] };
+  return { $project: project };
+}
 
-    // Step 1: fetch all students (no search at DB level)
-    const students = await Student.find({}).sort({ createdAt: -1 }).lean();
+function encodeCursor(doc, sortField) {
+  return Buffer.from(JSON.stringify({ v: doc[sortField], id: String(doc._id) })).toString("base64url");
+}
 
-    // Step 2: merge with profile
-    const mergedStudents = await Promise.all(
-      students.map(async s => {
-        const profile = await StudentProfile.findOne({ email: s.email }).lean();
-        return {
-          ...profile,
-          ...s,
-          fullname: [s.surname, s.firstname, s.middlename].filter(Boolean).join(" "),
-          matricNo: s.matricNo || profile?.matricNo || "N/A",
-          department: s.department || profile?.department || "N/A",
-          level: s.level || profile?.level || "N/A",
-          passport: s.passport || profile?.passport || null
-        };
-      })
-    );
+function decodeCursor(cursor, sortField) {
+  const { v, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  if (!mongoose.isValidObjectId(id)) throw new Error("bad cursor");
+  const value = sortField === "dateRegistered" && v ? new Date(v) : v;
+  return { value, id: new mongoose.Types.ObjectId(id) };
+}
+
+app.get("/api/students", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const {
+      q = "", department = "", level = "", verified = "", from = "", to = "",
+      sort = "dateRegistered", order, page = 1, limit = 50, cursor = "",
+    } = req.query;
+
+    const perPage = Math.min(STUDENT_LIST_MAX_LIMIT, Math.max(1, parseInt(limit, 10) || 50));
+    const currentPage = Math.max(1, parseInt(page, 10) || 1);
+    const sortField = STUDENT_SORT_FIELDS.includes(sort) ? sort : "dateRegistered";
+    const direction = (order || (sortField === "dateRegistered" ? "desc" : "asc")) === "desc" ? -1 : 1;
+
+    // Filters that hit indexes before the join
+    const dateRange = {};
+    if (from) dateRange.$gte = new Date(from);
+    if (to) dateRange.$lte = new Date(to);
+    if (Object.values(dateRange).some(d => isNaN(d))) {
+      return res.status(400).json({ success: false, message: "Invalid from/to date" });
+    }
 
-    // Step 3: apply search & filters AFTER merging
-    let filteredStudents = mergedStudents;
-
-    if (q) {
-      const regex = new RegExp(q.trim(), "i");
-      filteredStudents = filteredStudents.filter(
-        s =>
-          regex.test(s.fullname || "") ||
-          regex.test(s.matricNo || "") ||
-          regex.test(s.email || "") ||
-          regex.test(s.phone || "")
+    const profileMatch = {};
+    if (department.trim()) profileMatch.department = department.trim();
+    if (level.trim()) profileMatch.level = level.trim();
+    if (verified === "true") profileMatch.verified = true;
+
+    // Profile filters drive the query from StudentProfile (department/level/verified index);
+    // otherwise start from Student (dateRegistered index) and join the profile
+    let Model;
+    const pipeline = [];
+    if (Object.keys(profileMatch).length) {
+      Model = StudentProfile;
+      pipeline.push(
+        { $match: profileMatch },
+        { $lookup: { from: Student.collection.name, localField: "student", foreignField: "_id", as: "account" } },
+        { $unwind: "$account" }
+      );
+      if (Object.keys(dateRange).length) pipeline.push({ $match: { "account.dateRegistered": dateRange } });
+      pipeline.push(studentRecordStage("account.", ""));
+    } else {
+      Model = Student;
+      if (Object.keys(dateRange).length) pipeline.push({ $match: { dateRegistered: dateRange } });
+      pipeline.push(
+        { $lookup: { from: StudentProfile.collection.name, localField: "profile", foreignField: "_id", as: "profile" } },
+        { $unwind: { path: "$profile", preserveNullAndEmptyArrays: true } },
+        studentRecordStage("", "profile.")
       );
     }
+    if (verified === "false") pipeline.push({ $match: { verified: false } });
+
+    pipeline.push({
+      $addFields: {
+        fullname: { $trim: { input: { $concat: ["$surname", " ", "$firstname", " ", "$middlename"] } } },
+      },
+    });
 
-    if (department) {
-      const dep = department.trim().toLowerCase();
-      filteredStudents = filteredStudents.filter(s => (s.department || "").trim().toLowerCase() === dep);
+    if (q.trim()) {
+      const regex = new RegExp(escapeRegex(q.trim()), "i");
+      pipeline.push({
+        $match: { $or: [{ fullname: regex }, { matricNo: regex }, { email: regex }, { phone: regex }] },
+      });
     }
 
-    if (level) {
-      const lev = level.trim().toLowerCase();
-      filteredStudents = filteredStudents.filter(s => (s.level || "").trim().toLowerCase() === lev);
+    // Keyset pagination continues strictly after the cursor's (sort value, _id)
+    const pageStages = [{ $sort: { [sortField]: direction, _id: direction } }];
+    if (cursor) {
+      let after;
+      try {
+        after = decodeCursor(cursor, sortField);
+      } catch {
+        return res.status(400).json({ success: false, message: "Invalid cursor" });
+      }
+      const cmp = direction === 1 ? "$gt" : "$lt";
+      pageStages.push({
+        $match: {
+          $or: [
+            { [sortField]: { [cmp]: after.value } },
+            { [sortField]: after.value, _id: { [cmp]: after.id } },
+          ],
+        },
+      });
+    } else {
+      pageStages.push({ $skip: (currentPage - 1) * perPage });
     }
+    pageStages.push({ $limit: perPage + 1 });
 
-    const total = filteredStudents.length;
-    const paginatedStudents = filteredStudents.slice(skip, skip + perPage);
+    pipeline.push({ $facet: { data: pageStages, total: [{ $count: "count" }] } });
+
+    // Case-insensitive department/level matching and sorting; matches the profile index collation
+    const [result] = await Model.aggregate(pipeline).collation(CASE_INSENSITIVE);
+    const total = result.total[0]?.count || 0;
+    const rows = result.data.slice(0, perPage);
+    const hasMore = result.data.length > perPage;
 
     res.json({
       success: true,
-      data: paginatedStudents,
+      data: rows.map(record => ({
+        ...record,
+        matricNo: record.matricNo || "N/A",
+        department: record.department || "N/A",
+        level: record.level || "N/A",
+        passport: record.passport || null
+      })),
       total,
-      currentPage: parseInt(page, 10),
-      totalPages: Math.ceil(total / perPage)
+      currentPage: cursor ? null : currentPage,
+      totalPages: Math.ceil(total / perPage),
+      limit: perPage,
+      nextCursor: hasMore ? encodeCursor(rows[rows.length - 1], sortField) : null
     });
   } catch (err) {
     console.error("❌ Error listing students:", err);
@@ -727,12 +1533,12 @@ app.get("/api/students", async (req, res) => {
 });
 
 // Live search students by name or matric number
-app.get("/api/students/search", async (req, res) => {
+app.get("/api/students/search", requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
     const { q } = req.query;
     if (!q) return res.json({ students: [] });
 
-    const regex = new RegExp(q, "i"); // case-insensitive
+    const regex = new RegExp(escapeRegex(q.trim()), "i"); // case-insensitive, literal text
 
     const profiles = await StudentProfile.find({
       $or: [
@@ -751,44 +1557,28 @@ app.get("/api/students/search", async (req, res) => {
 });
 
 //===== Get Student by Email For Live Search===
-app.get("/api/students/by-email", async (req, res) => {
+app.get("/api/students/by-email", requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
     const { email } = req.query;
 
-    const student = await Student.findOne({ email });
-    const profile = await StudentProfile.findOne({ email });
-
-    if (!student && !profile)
+    const student = await findStudentRecord({ email: normalizeEmail(email) });
+    if (!student)
       return res.status(404).json({ success: false, message: "Not found" });
 
-    const full = {
-      ...profile?.toObject(),
-      ...student?.toObject(),
-    };
-
-    res.json({ success: true, student: full });
+    res.json({ success: true, student });
 
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
-// Get combined student + profile (merge all fields)
-app.get("/api/students/:id", async (req, res) => {
+// Get the canonical student record (account + linked profile)
+app.get("/api/students/:id", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), ownStudentId(req => req.params.id), async (req, res) => {
   try {
-    const student = await Student.findById(req.params.id);
+    const student = await findStudentRecord({ _id: req.params.id });
     if (!student) return res.status(404).json({ message: "Student not found" });
 
-    // Find matching profile by email
-    const profile = await StudentProfile.findOne({ email: student.email });
-
-    // Combine both, with Student fields taking priority if duplicated
-    const fullStudentData = {
-      ...profile?.toObject(), // merge all profile fields first
-      ...student.toObject(),  // then overwrite with Student fields if overlap
-    };
-
-    res.json({ success: true, student: fullStudentData });
+    res.json({ success: true, student });
   } catch (err) {
     console.error("❌ get student + profile error:", err);
     res.status(500).json({ success: false, message: err.message });
@@ -796,10 +1586,12 @@ app.get("/api/students/:id", async (req, res) => {
 });
 
 // Delete student
-app.delete("/api/students/:id", async (req, res) => {
+app.delete("/api/students/:id", requireRole("Super Admin", "Head Admin"), async (req, res) => {
   try {
     const student = await Student.findByIdAndDelete(req.params.id);
     if (!student) return res.status(404).json({ message: "Student not found" });
+    // The academic profile belongs to the account, so it goes with it
+    await StudentProfile.deleteOne({ student: student._id });
     // Note: This does not delete the Cloudinary image. If you want to remove Cloudinary resource,
     // store the public_id in the DB and call cloudinary.uploader.destroy(public_id)
     res.json({ success: true, message: "Student deleted", student });
@@ -810,7 +1602,7 @@ app.delete("/api/students/:id", async (req, res) => {
 });
 
 // Export all students to PDF including passport thumbnails
-app.get("/api/students/export/pdf", async (req, res) => {
+app.get("/api/students/export/pdf", requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
     const students = await Student.find({}).sort({ dateRegistered: -1 });
 
@@ -897,7 +1689,7 @@ app.get("/api/students/export/pdf", async (req, res) => {
 });
 
 // POST route to save courses
-app.post('/api/courses', async (req, res) => {
+app.post('/api/courses', requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
     const { level, department, semester, courses } = req.body;
 
@@ -905,7 +1697,10 @@ app.post('/api/courses', async (req, res) => {
       return res.status(400).json({ success: false, message: 'All fields are required.' });
     }
 
-    const newEntry = new CourseCollection({ level, department, semester, courses });
+    const { session, error } = await sessionForWrite(req.body.session);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const newEntry = new CourseCollection({ level, department, semester, courses, session: session?._id });
     await newEntry.save();
 
     return res.json({ success: true, message: 'Courses saved successfully.' });
@@ -916,9 +1711,17 @@ app.post('/api/courses', async (req, res) => {
 });
 
 // Optional: GET route to fetch courses
-app.get('/api/courses', async (req, res) => {
+app.get('/api/courses', requireRole(STUDENT_ROLE, ...ADMIN_ROLES), async (req, res) => {
   try {
-    const allCourses = await CourseCollection.find().sort({ createdAt: -1 });
+    // ?session=<id|name> keeps courses of that session plus those offered every session
+    const query = {};
+    if (req.query.session) {
+      const session = await resolveSession(req.query.session);
+      if (!session) return res.status(404).json({ success: false, message: 'Academic session not found.' });
+      query.session = { $in: [session._id, null] };
+    }
+
+    const allCourses = await CourseCollection.find(query).sort({ createdAt: -1 });
     res.json({ success: true, data: allCourses });
   } catch (err) {
     console.error(err);
@@ -927,7 +1730,7 @@ app.get('/api/courses', async (req, res) => {
 });
 
 // DELETE a specific course from a document
-app.delete('/api/courses/:docId/:courseId', async (req, res) => {
+app.delete('/api/courses/:docId/:courseId', requireRole(...ADMIN_ROLES), async (req, res) => {
   const { docId, courseId } = req.params;
 
   try {
@@ -949,194 +1752,929 @@ app.delete('/api/courses/:docId/:courseId', async (req, res) => {
   }
 });
 
-// ==≠====== Admin Registration =========
-// ✅ Admin Registration (Super Admin Only)
-app.post("/api/admins/register", upload.single("passport"), async (req, res) => {
-  try {
-    const { fullname, email, phone, department, password, role } = req.body;
+// PUT the prerequisite list of a course: { prerequisites: [{ code, minGrade? }] }
+app.put('/api/courses/:docId/:courseId/prerequisites', requireRole(...ADMIN_ROLES), async (req, res) => {
+  const { docId, courseId } = req.params;
+  const { prerequisites } = req.body;
 
-    // ✅ Basic validation
-    if (!fullname || !email || !phone || !password || !role) {
-      return res.status(400).json({ message: "All required fields must be filled." });
-    }
+  if (!Array.isArray(prerequisites) || prerequisites.some(p => !p || !p.code)) {
+    return res.status(400).json({ success: false, message: 'prerequisites must be a list of { code, minGrade? }' });
+  }
 
-    // ✅ Check if admin already exists
-    const existingAdmin = await Admin.findOne({ email });
-    if (existingAdmin) {
-      return res.status(400).json({ message: "Email already registered." });
-    }
+  try {
+    const updatedDoc = await CourseCollection.findOneAndUpdate(
+      { _id: docId, 'courses._id': courseId },
+      { $set: { 'courses.$.prerequisites': prerequisites.map(p => ({ code: p.code, minGrade: p.minGrade || '' })) } },
+      { new: true, runValidators: true }
+    );
 
-    // ✅ Upload passport to Cloudinary
-    let passportUrl = "";
-    if (req.file) {
-      const uploaded = await cloudinary.uploader.upload(req.file.path, {
-        folder: "admin_passports",
-      });
-      passportUrl = uploaded.secure_url;
-    } else {
-      return res.status(400).json({ message: "Passport image is required." });
+    if (!updatedDoc) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
     }
 
-    // ✅ Department logic: hide for Super Admin, Head Admin, Cashier
-    const rolesWithoutDepartment = ["Super Admin", "Head Admin", "Cashier"];
-    const finalDepartment = rolesWithoutDepartment.includes(role) ? "N/A" : department || "N/A";
+    res.json({ success: true, message: 'Prerequisites updated', data: updatedDoc });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // ✅ Create new admin
-    const newAdmin = new Admin({
-      fullname,
-      email,
-      phone,
-      department: finalDepartment,
-      password, // (no hashing yet)
-      role,
-      passport: passportUrl,
-    });
+// ================== ACADEMIC SESSION ROUTES ==================
+const SESSION_ADMIN_ROLES = ["Super Admin", "Head Admin"];
 
-    await newAdmin.save();
+// List sessions (newest first)
+app.get("/api/sessions", requireAuth, async (req, res) => {
+  try {
+    const sessions = await AcademicSession.find().sort({ name: -1 }).lean();
+    res.json({ success: true, data: sessions });
+  } catch (err) {
+    console.error("❌ List sessions error:", err);
+    res.status(500).json({ success: false, message: "Failed to load sessions" });
+  }
+});
 
-    res.status(201).json({
-      success: true,
-      message: `${role} registered successfully.`,
-      admin: newAdmin,
-    });
+// Current session
+app.get("/api/sessions/current", requireAuth, async (req, res) => {
+  try {
+    const session = await currentSession();
+    if (!session) return res.status(404).json({ success: false, message: "No current academic session" });
+    res.json({ success: true, data: session });
   } catch (err) {
-    console.error("❌ Admin registration error:", err);
-    res.status(500).json({ success: false, message: err.message });
+    console.error("❌ Current session error:", err);
+    res.status(500).json({ success: false, message: "Failed to load current session" });
   }
 });
 
-// ========= Upload Result Route (Updated for Nested Courses) =========
-app.post("/api/upload-results", uploadExcel.single("file"), async (req, res) => {
+// Create a session, e.g. { name: "2025/2026", startDate, endDate, semesters: [{ number, startDate, endDate }] }
+app.post("/api/sessions", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
   try {
-    // ✅ CASE 1: BULK UPLOAD (Excel file)
-    if (req.file) {
-      const workbook = xlsx.read(req.file.buffer, { type: "buffer" });
-      const sheetName = workbook.SheetNames[0];
-      const sheet = workbook.Sheets[sheetName];
-      const rows = xlsx.utils.sheet_to_json(sheet);
+    const name = String(req.body.name || "").trim();
+    const match = name.match(/^(\d{4})\/(\d{4})$/);
+    if (!match || Number(match[2]) !== Number(match[1]) + 1) {
+      return res.status(400).json({ success: false, message: "Session name must look like 2025/2026" });
+    }
 
-      if (rows.length === 0) {
-        return res.status(400).json({ message: "Excel file is empty" });
-      }
+    const exists = await AcademicSession.findOne({ name });
+    if (exists) return res.status(409).json({ success: false, message: "Session already exists" });
+
+    const given = Array.isArray(req.body.semesters) ? req.body.semesters : [];
+    const semesters = [1, 2].map(number => {
+      const s = given.find(g => Number(g.number) === number) || {};
+      return {
+        number,
+        name: number === 1 ? "First Semester" : "Second Semester",
+        startDate: s.startDate || undefined,
+        endDate: s.endDate || undefined,
+      };
+    });
 
-      const formattedResults = [];
-
-      for (const row of rows) {
-        const rawLevel = (row["Level"] || row["level"] || "").toString().trim().toUpperCase();
-        const rawDept = (row["Department"] || row["department"] || "").trim();
-        const level = rawLevel.replace(/\s+/g, " ");
-        const score = Number(row["Score"] || row["score"] || 0);
-
-        // Auto-grade if not provided
-        let grade = row["Grade"] || row["grade"] || "";
-        if (!grade) {
-          if (score >= 70) grade = "A";
-          else if (score >= 60) grade = "B";
-          else if (score >= 50) grade = "C";
-          else if (score >= 45) grade = "D";
-          else if (score >= 40) grade = "E";
-          else grade = "F";
-        }
+    const session = await AcademicSession.create({
+      name,
+      startDate: req.body.startDate || undefined,
+      endDate: req.body.endDate || undefined,
+      semesters,
+      createdBy: req.auth.id,
+    });
 
-        const courseCode =
-          (row["Course Code"] || row["CourseCode"] || row["courseCode"] || "").trim();
+    res.status(201).json({ success: true, message: `Session ${name} created`, data: session });
+  } catch (err) {
+    console.error("❌ Create session error:", err);
+    res.status(500).json({ success: false, message: "Failed to create session", error: err.message });
+  }
+});
 
-        // ✅ Find course title from nested structure
-        const courseDoc = await CourseCollection.findOne({
-          "courses.code": { $regex: `^${courseCode}$`, $options: "i" },
-        });
+// Open a session and make it the current one (optionally { semester: 1|2 })
+app.patch("/api/sessions/:id/open", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const session = await AcademicSession.findById(req.params.id);
+    if (!session) return res.status(404).json({ success: false, message: "Session not found" });
 
-        if (!courseDoc) {
-          return res
-            .status(400)
-            .json({ message: `❌ Invalid course code found: ${courseCode}` });
-        }
+    const semester = req.body.semester ? semesterNumber(req.body.semester) : session.currentSemester;
+    if (!semester) return res.status(400).json({ success: false, message: "Semester must be 1 or 2" });
 
-        // Extract course title from nested array
-        const matchedCourse = courseDoc.courses.find(
-          (c) => c.code.toLowerCase() === courseCode.toLowerCase()
-        );
-
-        formattedResults.push({
-          fullname: row["Name"] || row["Fullname"] || row["fullname"] || "",
-          matricNo: row["Matric Number"] || row["MatricNo"] || row["matricNo"] || "",
-          department: rawDept,
-          level,
-          semester: row["Semester"] || row["semester"] || "",
-          courseCode,
-          courseTitle: matchedCourse ? matchedCourse.title : "",
-          score,
-          grade,
-          uploadedAt: new Date(),
-        });
-      }
+    await AcademicSession.updateMany({ _id: { $ne: session._id }, isCurrent: true }, { isCurrent: false });
 
-      await Result.insertMany(formattedResults);
-      return res.json({
-        message: "✅ Bulk results uploaded successfully!",
-        count: formattedResults.length,
+    session.status = "open";
+    session.isCurrent = true;
+    session.currentSemester = semester;
+    session.openedAt = session.openedAt || new Date();
+    session.closedAt = undefined;
+    await session.save();
+
+    res.json({ success: true, message: `Session ${session.name} is now open and current`, data: session });
+  } catch (err) {
+    console.error("❌ Open session error:", err);
+    res.status(500).json({ success: false, message: "Failed to open session", error: err.message });
+  }
+});
+
+// Close a session; closed sessions accept no new courses, registrations, results or payments
+app.patch("/api/sessions/:id/close", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const session = await AcademicSession.findByIdAndUpdate(
+      req.params.id,
+      { status: "closed", isCurrent: false, closedAt: new Date() },
+      { new: true }
+    );
+    if (!session) return res.status(404).json({ success: false, message: "Session not found" });
+
+    res.json({ success: true, message: `Session ${session.name} closed`, data: session });
+  } catch (err) {
+    console.error("❌ Close session error:", err);
+    res.status(500).json({ success: false, message: "Failed to close session", error: err.message });
+  }
+});
+
+// Approve (lock) a session's results; reopening needs the Head Admin
+app.patch("/api/sessions/:id/approve-results", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const session = await AcademicSession.findOneAndUpdate(
+      { _id: req.params.id, resultsApprovedAt: null },
+      { resultsApprovedAt: new Date(), resultsApprovedBy: req.auth.email },
+      { new: true }
+    );
+    if (!session) return res.status(404).json({ success: false, message: "Session not found or already approved" });
+
+    res.json({ success: true, message: `Results for ${session.name} approved and locked`, data: session });
+  } catch (err) {
+    console.error("❌ Approve session results error:", err);
+    res.status(500).json({ success: false, message: "Failed to approve results", error: err.message });
+  }
+});
+
+app.patch("/api/sessions/:id/unlock-results", requireRole("Head Admin"), async (req, res) => {
+  try {
+    const session = await AcademicSession.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { resultsApprovedAt: "", resultsApprovedBy: "" } },
+      { new: true }
+    );
+    if (!session) return res.status(404).json({ success: false, message: "Session not found" });
+
+    res.json({ success: true, message: `Results for ${session.name} unlocked`, data: session });
+  } catch (err) {
+    console.error("❌ Unlock session results error:", err);
+    res.status(500).json({ success: false, message: "Failed to unlock results", error: err.message });
+  }
+});
+
+// Switch the current semester of a session
+app.patch("/api/sessions/:id/semester", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const semester = semesterNumber(req.body.semester);
+    if (!semester) return res.status(400).json({ success: false, message: "Semester must be 1 or 2" });
+
+    const session = await AcademicSession.findByIdAndUpdate(
+      req.params.id,
+      { currentSemester: semester },
+      { new: true }
+    );
+    if (!session) return res.status(404).json({ success: false, message: "Session not found" });
+
+    res.json({ success: true, message: `${session.name}: semester ${semester} is current`, data: session });
+  } catch (err) {
+    console.error("❌ Set semester error:", err);
+    res.status(500).json({ success: false, message: "Failed to set semester", error: err.message });
+  }
+});
+
+// One-off: attach registrations, results and payments recorded before sessions existed
+app.post("/api/sessions/:id/backfill", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const session = await AcademicSession.findById(req.params.id).lean();
+    if (!session) return res.status(404).json({ success: false, message: "Session not found" });
+
+    const unset = { session: null };
+    const [registrations, results, payments] = await Promise.all([
+      CourseRegistration.updateMany(unset, { session: session._id }),
+      Result.updateMany(unset, { session: session._id }),
+      Payment.updateMany(unset, { session: session._id }),
+    ]);
+
+    res.json({
+      success: true,
+      message: `Records without a session assigned to ${session.name}`,
+      updated: {
+        registrations: registrations.modifiedCount,
+        results: results.modifiedCount,
+        payments: payments.modifiedCount,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Session backfill error:", err);
+    res.status(500).json({ success: false, message: "Failed to backfill session", error: err.message });
+  }
+});
+
+// ==≠====== Admin Registration =========
+// ✅ Admin Registration (Super Admin Only)
+app.post("/api/admins/register", requireRole("Super Admin"), upload.single("passport"), async (req, res) => {
+  try {
+    const { fullname, email, phone, department, password, role } = req.body;
+
+    // ✅ Basic validation
+    if (!fullname || !email || !phone || !password || !role) {
+      return res.status(400).json({ message: "All required fields must be filled." });
+    }
+
+    // ✅ Check if admin already exists
+    const existingAdmin = await Admin.findOne({ email });
+    if (existingAdmin) {
+      return res.status(400).json({ message: "Email already registered." });
+    }
+
+    // ✅ Upload passport to Cloudinary
+    let passportUrl = "";
+    if (req.file) {
+      const uploaded = await cloudinary.uploader.upload(req.file.path, {
+        folder: "admin_passports",
       });
+      passportUrl = uploaded.secure_url;
+    } else {
+      return res.status(400).json({ message: "Passport image is required." });
     }
 
-    // ✅ CASE 2: SINGLE UPLOAD (Manual JSON)
-    const {
+    // ✅ Department logic: hide for Super Admin and Cashier (Head Admins approve results for their department)
+    const rolesWithoutDepartment = ["Super Admin", "Cashier"];
+    const finalDepartment = rolesWithoutDepartment.includes(role) ? "N/A" : department || "N/A";
+
+    // ✅ Create new admin
+    const newAdmin = new Admin({
       fullname,
-      matricNo,
-      department,
-      level,
-      courseCode,
-      semester,
-      score,
-      grade,
-    } = req.body;
+      email,
+      phone,
+      department: finalDepartment,
+      password: await hashPassword(normalizePassword(password)),
+      role,
+      passport: passportUrl,
+    });
+
+    await newAdmin.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${role} registered successfully.`,
+      admin: newAdmin,
+    });
+  } catch (err) {
+    console.error("❌ Admin registration error:", err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ================== GRADING SCALES ==================
+// Used when no scale in the database applies
+const DEFAULT_GRADE_BANDS = [
+  { min: 70, max: 100, grade: "A", points: 5, pass: true },
+  { min: 60, max: 69, grade: "B", points: 4, pass: true },
+  { min: 50, max: 59, grade: "C", points: 3, pass: true },
+  { min: 45, max: 49, grade: "D", points: 2, pass: true },
+  { min: 40, max: 44, grade: "E", points: 1, pass: true },
+  { min: 0, max: 39, grade: "F", points: 0, pass: false },
+];
+const DEFAULT_GRADING_SCALE = { _id: null, name: "Default", version: 1, bands: DEFAULT_GRADE_BANDS };
+
+// Returns an error message, or null when the bands cover 0-100 without overlaps
+function gradeBandsError(bands) {
+  if (!Array.isArray(bands) || !bands.length) return "bands must be a non-empty list";
+  for (const b of bands) {
+    if (![b.min, b.max, b.points].every(v => Number.isFinite(Number(v))) || !b.grade) {
+      return "Each band needs numeric min, max and points and a grade";
+    }
+    if (Number(b.min) > Number(b.max)) return `Band ${b.grade}: min is above max`;
+  }
+  const sorted = [...bands].sort((a, b) => a.min - b.min);
+  if (Number(sorted[0].min) !== 0) return "The lowest band must start at 0";
+  if (Number(sorted[sorted.length - 1].max) !== 100) return "The highest band must end at 100";
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = Number(sorted[i - 1].max);
+    const min = Number(sorted[i].min);
+    if (min <= prev) return `Bands ${sorted[i - 1].grade} and ${sorted[i].grade} overlap`;
+    if (min > prev + 1) return `There is a gap between ${prev} and ${min}`;
+  }
+  return null;
+}
+
+// Most specific active scale for the session/department/level
+async function findGradingScale({ session, department = "", level = "" }) {
+  const candidates = await GradingScale.find({
+    retiredAt: null,
+    session: { $in: [session?._id || session || null, null] },
+    department: { $in: [department, ""] },
+    level: { $in: [level, ""] },
+  }).collation(CASE_INSENSITIVE).lean();
+
+  const specificity = s => (s.session ? 4 : 0) + (s.department ? 2 : 0) + (s.level ? 1 : 0);
+  candidates.sort((a, b) => specificity(b) - specificity(a));
+  return candidates[0] || DEFAULT_GRADING_SCALE;
+}
+
+// { grade, points, pass } for a score; fractional scores fall in the band below.
+// A missing or out-of-range score (or one below every band) is ungraded: grade and points are null.
+function gradeWithScale(scale, score) {
+  const band = validScore(score)
+    ? [...scale.bands].sort((a, b) => b.min - a.min).find(b => score >= b.min)
+    : null;
+  if (!band) return { grade: null, points: null, pass: false };
+  return { grade: band.grade, points: band.points, pass: band.pass !== false };
+}
+
+// Grades results for many department/level combinations with one lookup each
+function gradingScaleCache(session) {
+  const cache = new Map();
+  return ({ department = "", level = "" }) => {
+    const key = `${department.toLowerCase()}|${level.toLowerCase()}`;
+    if (!cache.has(key)) cache.set(key, findGradingScale({ session, department, level }));
+    return cache.get(key);
+  };
+}
+
+function validScore(score) {
+  return Number.isFinite(score) && score >= 0 && score <= 100;
+}
+
+// List scales: ?session=&department=&level=&history=true
+app.get("/api/grading-scales", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.history !== "true") query.retiredAt = null;
+    if (req.query.session) {
+      const session = await resolveSession(req.query.session);
+      if (!session) return res.status(404).json({ success: false, message: "Academic session not found" });
+      query.session = session._id;
+    }
+    if (req.query.department) query.department = req.query.department;
+    if (req.query.level) query.level = req.query.level;
+
+    const scales = await GradingScale.find(query)
+      .collation(CASE_INSENSITIVE)
+      .populate("session", "name")
+      .sort({ name: 1, version: -1 })
+      .lean();
+    res.json({ success: true, data: scales, defaultScale: DEFAULT_GRADING_SCALE });
+  } catch (err) {
+    console.error("❌ List grading scales error:", err);
+    res.status(500).json({ success: false, message: "Failed to load grading scales" });
+  }
+});
 
-    if (!fullname || !matricNo || !courseCode || !score) {
-      return res.status(400).json({ message: "Missing required fields" });
+// How a score would be graded: { score | scores, session?, department?, level? } or { scaleId, ... }
+app.post("/api/grading-scales/preview", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const scores = (Array.isArray(req.body.scores) ? req.body.scores : [req.body.score]).map(Number);
+    if (!scores.length || !scores.every(validScore)) {
+      return res.status(400).json({ success: false, message: "Scores must be numbers from 0 to 100" });
     }
 
-    const numericScore = Number(score);
+    let scale;
+    if (req.body.scaleId) {
+      scale = await GradingScale.findById(req.body.scaleId).lean();
+      if (!scale) return res.status(404).json({ success: false, message: "Grading scale not found" });
+    } else {
+      const session = req.body.session ? await resolveSession(req.body.session) : await currentSession();
+      scale = await findGradingScale({ session, department: req.body.department || "", level: req.body.level || "" });
+    }
 
-    // ✅ Find course inside nested array
-    const courseDoc = await CourseCollection.findOne({
-      "courses.code": { $regex: `^${courseCode}$`, $options: "i" },
+    res.json({
+      success: true,
+      scale: { _id: scale._id, name: scale.name, version: scale.version },
+      data: scores.map(score => ({ score, ...gradeWithScale(scale, score) })),
     });
+  } catch (err) {
+    console.error("❌ Grading preview error:", err);
+    res.status(500).json({ success: false, message: "Failed to preview grading" });
+  }
+});
+
+app.get("/api/grading-scales/:id", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const scale = await GradingScale.findById(req.params.id).populate("session", "name").lean();
+    if (!scale) return res.status(404).json({ success: false, message: "Grading scale not found" });
+
+    const history = await GradingScale.find({ session: scale.session?._id || null, department: scale.department, level: scale.level })
+      .select("version retiredAt createdBy createdAt")
+      .sort({ version: -1 })
+      .lean();
+    res.json({ success: true, data: scale, history });
+  } catch (err) {
+    console.error("❌ Get grading scale error:", err);
+    res.status(500).json({ success: false, message: "Failed to load grading scale" });
+  }
+});
 
-    if (!courseDoc) {
-      return res.status(400).json({ message: `❌ Invalid course code: ${courseCode}` });
+// Create the scale for { session?, department?, level? }
+app.post("/api/grading-scales", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const { name, bands } = req.body;
+    const department = String(req.body.department || "").trim();
+    const level = String(req.body.level || "").trim();
+    if (!name) return res.status(400).json({ success: false, message: "name is required" });
+    const bandsError = gradeBandsError(bands);
+    if (bandsError) return res.status(400).json({ success: false, message: bandsError });
+
+    let session = null;
+    if (req.body.session) {
+      session = await resolveSession(req.body.session);
+      if (!session) return res.status(404).json({ success: false, message: "Academic session not found" });
     }
 
-    // Extract course title
-    const matchedCourse = courseDoc.courses.find(
-      (c) => c.code.toLowerCase() === courseCode.toLowerCase()
-    );
+    const existing = await GradingScale.findOne({ session: session?._id || null, department, level, retiredAt: null })
+      .collation(CASE_INSENSITIVE);
+    if (existing) {
+      return res.status(409).json({ success: false, message: `"${existing.name}" already covers this session/department/level; edit it instead`, data: existing });
+    }
+
+    const scale = await GradingScale.create({
+      name, session: session?._id || null, department, level, bands, createdBy: req.auth.email,
+    });
+    res.status(201).json({ success: true, message: "Grading scale created", data: scale });
+  } catch (err) {
+    console.error("❌ Create grading scale error:", err);
+    res.status(500).json({ success: false, message: "Failed to create grading scale", error: err.message });
+  }
+});
+
+// Edit = save a new version and retire this one
+app.put("/api/grading-scales/:id", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const current = await GradingScale.findOne({ _id: req.params.id, retiredAt: null });
+    if (!current) return res.status(404).json({ success: false, message: "Active grading scale not found" });
+
+    const bands = req.body.bands || current.bands;
+    const bandsError = gradeBandsError(bands);
+    if (bandsError) return res.status(400).json({ success: false, message: bandsError });
+
+    const next = await GradingScale.create({
+      name: req.body.name || current.name,
+      session: current.session,
+      department: current.department,
+      level: current.level,
+      version: current.version + 1,
+      bands,
+      createdBy: req.auth.email,
+    });
+    current.retiredAt = new Date();
+    current.replacedBy = next._id;
+    await current.save();
+
+    res.json({ success: true, message: `Grading scale saved as version ${next.version}`, data: next });
+  } catch (err) {
+    console.error("❌ Update grading scale error:", err);
+    res.status(500).json({ success: false, message: "Failed to update grading scale", error: err.message });
+  }
+});
 
-    // Auto-determine grade if missing
-    let finalGrade = grade;
-    if (!finalGrade || finalGrade.trim() === "") {
-      if (numericScore >= 70) finalGrade = "A";
-      else if (numericScore >= 60) finalGrade = "B";
-      else if (numericScore >= 50) finalGrade = "C";
-      else if (numericScore >= 45) finalGrade = "D";
-      else if (numericScore >= 40) finalGrade = "E";
-      else finalGrade = "F";
+// Retire a scale; versions already used by results are kept for reference
+app.delete("/api/grading-scales/:id", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const scale = await GradingScale.findById(req.params.id);
+    if (!scale) return res.status(404).json({ success: false, message: "Grading scale not found" });
+
+    if (await Result.exists({ gradingScale: scale._id })) {
+      scale.retiredAt = scale.retiredAt || new Date();
+      await scale.save();
+      return res.json({ success: true, message: "Grading scale retired (results still reference it)" });
     }
 
-    const newResult = new Result({
-      fullname,
-      matricNo,
-      department,
-      level,
-      courseCode,
-      courseTitle: matchedCourse ? matchedCourse.title : "",
-      semester,
-      score: numericScore,
-      grade: finalGrade,
-      uploadedAt: new Date(),
+    await scale.deleteOne();
+    res.json({ success: true, message: "Grading scale deleted" });
+  } catch (err) {
+    console.error("❌ Delete grading scale error:", err);
+    res.status(500).json({ success: false, message: "Failed to delete grading scale" });
+  }
+});
+
+// ========= Upload Result Route (Updated for Nested Courses) =========
+// Every upload (sheet or single JSON result) is validated row by row first.
+// ?dryRun=true (or dryRun in the body) returns the report without writing;
+// otherwise nothing is written unless every row is valid. Rows matching an
+// existing result on (matricNo, courseCode, session, semester) update it, and
+// the upload is kept as a ResultUpload batch that can be rolled back.
+// The sheet from /api/results/template is the canonical format; the other
+// column names are still read for older sheets.
+const SEMESTER_NAMES = { 1: "First", 2: "Second" };
+const RESULT_TEMPLATE_COLUMNS = ["Matric Number", "Name", "Department", "Level", "Session", "Semester", "Course Code", "Course Title", "Score"];
+
+// First non-empty value among the accepted column names
+function cell(row, ...names) {
+  for (const name of names) {
+    const value = row[name];
+    if (value !== undefined && value !== null && String(value).trim() !== "") return String(value).trim();
+  }
+  return "";
+}
+
+function parseResultRow(row) {
+  return {
+    fullname: cell(row, "Name", "Fullname", "fullname"),
+    matricNo: cell(row, "Matric Number", "MatricNo", "matricNo"),
+    department: cell(row, "Department", "department"),
+    level: cell(row, "Level", "level").toUpperCase().replace(/\s+/g, " "),
+    session: cell(row, "Session", "session"),
+    semester: cell(row, "Semester", "semester"),
+    courseCode: cell(row, "Course Code", "CourseCode", "courseCode"),
+    score: cell(row, "Score", "score"),
+    grade: cell(row, "Grade", "grade").toUpperCase(),
+  };
+}
+
+const sameText = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+// Per-row { row, ..., action, errors, warnings } for the parsed rows.
+// skipBlankScores: template rows left without a score are skipped, not errors
+async function validateResultRows(parsed, { session, semester: defaultSemester, skipBlankScores = false }) {
+  const codes = [...new Set(parsed.map(r => r.courseCode.toUpperCase()).filter(Boolean))];
+  const matrics = [...new Set(parsed.map(r => r.matricNo).filter(Boolean))];
+
+  const catalog = await findCatalogCourses(codes);
+  const profiles = await StudentProfile.find({ matricNo: { $in: matrics } })
+    .collation(CASE_INSENSITIVE)
+    .populate("student")
+    .lean();
+  const students = new Map(profiles.map(p => [p.matricNo.trim().toUpperCase(), toStudentRecord(p.student, p)]));
+
+  const regQuery = { matricNumber: { $in: matrics }, courseCode: { $in: codes } };
+  if (session) regQuery.session = session._id;
+  const registered = new Set(
+    (await CourseRegistration.find(regQuery).collation(CASE_INSENSITIVE).lean())
+      .map(r => `${r.matricNumber.trim().toUpperCase()}|${r.courseCode.trim().toUpperCase()}`)
+  );
+
+  const existingQuery = { matricNo: { $in: matrics }, courseCode: { $in: codes }, session: session?._id || null };
+  const existing = await Result.find(existingQuery).collation(CASE_INSENSITIVE).lean();
+
+  const scaleFor = gradingScaleCache(session);
+  const seen = new Set();
+  const report = [];
+
+  for (const [i, r] of parsed.entries()) {
+    const errors = [];
+    const warnings = [];
+    const code = r.courseCode.toUpperCase();
+    const matricKey = r.matricNo.toUpperCase();
+    const student = students.get(matricKey);
+    const course = catalog.get(code);
+    const semester = semesterNumber(r.semester || defaultSemester);
+    const score = Number(r.score);
+
+    if (skipBlankScores && r.score === "") {
+      report.push({
+        row: i + 2,
+        matricNo: r.matricNo,
+        courseCode: course?.code || r.courseCode,
+        score: null,
+        grade: null,
+        action: "skip",
+        errors: [],
+        warnings: ["No score entered; row skipped"],
+        _result: null,
+        _previous: null,
+      });
+      continue;
+    }
+
+    if (!r.matricNo) errors.push("Matric number is missing");
+    else if (!student) errors.push(`No student with matric number ${r.matricNo}`);
+    if (!r.courseCode) errors.push("Course code is missing");
+    else if (!course) errors.push(`Unknown course code ${r.courseCode}`);
+    if (r.score === "") errors.push("Score is missing");
+    else if (!validScore(score)) errors.push(`Score ${r.score} is not a number from 0 to 100`);
+    if (r.session && session && !sameText(r.session, session.name)) {
+      errors.push(`Row is for session ${r.session}; this upload is for ${session.name}`);
+    }
+    if (!semester) errors.push(r.semester ? `Unknown semester "${r.semester}"` : "Semester is missing");
+    else if (course?.semester && course.semester !== semester) {
+      warnings.push(`${course.code} is a ${SEMESTER_NAMES[course.semester]} semester course`);
+    }
+
+    const key = `${matricKey}|${code}|${semester}`;
+    if (r.matricNo && r.courseCode && seen.has(key)) errors.push("Duplicate of an earlier row for this student and course");
+    seen.add(key);
+
+    if (student && course && !registered.has(`${matricKey}|${code}`)) {
+      warnings.push(`${r.matricNo} has no registration for ${course.code}${session ? ` in ${session.name}` : ""}`);
+    }
+    if (student) {
+      if (r.fullname && student.fullname && !sameText(r.fullname, student.fullname)) {
+        warnings.push(`Name "${r.fullname}" differs from the record ("${student.fullname}")`);
+      }
+      if (r.department && student.department && !sameText(r.department, student.department)) {
+        warnings.push(`Department "${r.department}" differs from the record ("${student.department}")`);
+      }
+      if (r.level && student.level && !sameText(r.level, student.level)) {
+        warnings.push(`Level "${r.level}" differs from the record ("${student.level}")`);
+      }
+    }
+
+    const department = student?.department || r.department;
+    const level = student?.level || r.level;
+    let graded = null;
+    let action = "create";
+    let previous = null;
+    if (!errors.length) {
+      const scale = await scaleFor({ department, level });
+      graded = { ...gradeWithScale(scale, score), scale };
+      if (r.grade && r.grade !== graded.grade) {
+        warnings.push(`Grade column says ${r.grade}; the grading scale gives ${graded.grade}`);
+      }
+      previous = existing.find(e =>
+        sameText(e.matricNo, r.matricNo) && sameText(e.courseCode, r.courseCode) && semesterNumber(e.semester) === semester
+      ) || null;
+      if (previous) {
+        action = previous.score === score && previous.grade === graded.grade ? "unchanged" : "update";
+        if (action === "update") warnings.push(`Replaces existing score ${previous.score} (${previous.grade})`);
+      }
+    }
+
+    report.push({
+      row: i + 2, // sheet row, after the header
+      matricNo: r.matricNo,
+      courseCode: course?.code || r.courseCode,
+      score: r.score === "" ? null : score,
+      grade: graded?.grade || null,
+      action,
+      errors,
+      warnings,
+      // used by the commit, stripped from responses
+      _result: errors.length ? null : {
+        fullname: student?.fullname || r.fullname,
+        matricNo: student?.matricNo || r.matricNo,
+        department,
+        level,
+        semester: SEMESTER_NAMES[semester],
+        session: session?._id,
+        courseCode: course.code,
+        courseTitle: course.title,
+        score,
+        grade: graded.grade,
+        gradePoint: graded.points,
+        gradingScale: graded.scale._id,
+      },
+      _previous: previous,
+    });
+  }
+  return report;
+}
+
+function publicReport(report) {
+  const rows = report.map(({ _result, _previous, ...row }) => row);
+  return {
+    rows,
+    summary: {
+      total: rows.length,
+      valid: rows.filter(r => !r.errors.length).length,
+      invalid: rows.filter(r => r.errors.length).length,
+      warnings: rows.filter(r => r.warnings.length).length,
+      create: rows.filter(r => !r.errors.length && r.action === "create").length,
+      update: rows.filter(r => !r.errors.length && r.action === "update").length,
+      unchanged: rows.filter(r => !r.errors.length && r.action === "unchanged").length,
+      skipped: rows.filter(r => r.action === "skip").length,
+    },
+  };
+}
+
+const RESULT_SNAPSHOT_FIELDS = ["fullname", "department", "level", "courseTitle", "score", "grade", "gradePoint", "gradingScale", "uploadBatch", "published", "uploadedAt"];
+const snapshotResult = result => Object.fromEntries(RESULT_SNAPSHOT_FIELDS.map(f => [f, result[f] ?? null]));
+
+// Runs fn(dbSession) in a transaction, or fn(null) where the deployment has none
+async function runInTransaction(fn) {
+  const dbSession = await mongoose.startSession();
+  try {
+    let value;
+    await dbSession.withTransaction(async () => {
+      value = await fn(dbSession);
     });
+    return value;
+  } catch (err) {
+    if (!transactionsUnsupported(err)) throw err;
+  } finally {
+    await dbSession.endSession();
+  }
+  return fn(null);
+}
+
+// Undoes an upload batch: removes the results it created and restores the ones
+// it replaced. Results edited since the upload are left alone and reported.
+// With `req`, each removed/restored result is written to the history.
+async function revertResultUpload(batch, dbSession = null, req = null, overridden = false) {
+  const opts = dbSession ? { session: dbSession } : {};
+  const touched = await Result.find({
+    _id: { $in: [...batch.created, ...batch.updated.map(u => u.result)] },
+    uploadBatch: batch._id,
+  }, null, opts).lean();
+  const touchedById = new Map(touched.map(r => [String(r._id), r]));
+  const history = [];
+  const reason = `Rollback of upload ${batch.fileName || batch._id}`;
+
+  const removed = await Result.deleteMany({ _id: { $in: batch.created }, uploadBatch: batch._id }, opts);
+  for (const id of batch.created) {
+    const r = touchedById.get(String(id));
+    if (req && r) history.push(historyEntry(req, r, "rollback", { before: { score: r.score, grade: r.grade }, after: null, reason, override: overridden }));
+  }
+
+  let restored = 0;
+  const skipped = [];
+  for (const u of batch.updated) {
+    const r = await Result.updateOne({ _id: u.result, uploadBatch: batch._id }, { $set: u.previous }, opts);
+    if (r.modifiedCount) {
+      restored += 1;
+      const current = touchedById.get(String(u.result));
+      if (req) history.push(historyEntry(req, current, "rollback", {
+        before: { score: current.score, grade: current.grade },
+        after: { score: u.previous.score, grade: u.previous.grade },
+        reason,
+        override: overridden,
+      }));
+    } else {
+      skipped.push(String(u.result));
+    }
+  }
+
+  if (req) await recordResultHistory(history, opts);
+  return { removed: removed.deletedCount, restored, skipped };
+}
+
+async function commitResultUpload(report, { req, session, fileName, overridden = false }) {
+  const batch = new ResultUpload({
+    session: session?._id,
+    fileName,
+    uploadedBy: req.auth.email,
+    rowCount: report.length,
+    departments: [...new Set(report.map(r => r._result?.department).filter(Boolean))],
+    created: [],
+    updated: [],
+  });
+
+  const write = async (dbSession) => {
+    const opts = dbSession ? { session: dbSession } : {};
+    batch.created = [];
+    batch.updated = [];
+    const history = [];
+    const now = new Date();
+    const reason = `Upload ${fileName || "(single result)"}`;
+    for (const row of report) {
+      if (row.action === "unchanged" || row.action === "skip") continue;
+      const data = { ...row._result, uploadBatch: batch._id, uploadedAt: now };
+      if (row._previous) {
+        // Updates keep their published state
+        await Result.updateOne({ _id: row._previous._id }, { $set: data }, opts);
+        batch.updated.push({ result: row._previous._id, previous: snapshotResult(row._previous) });
+        history.push(historyEntry(req, row._previous, "upload", {
+          before: { score: row._previous.score, grade: row._previous.grade },
+          after: { score: data.score, grade: data.grade },
+          reason,
+          override: overridden,
+        }));
+      } else {
+        // New results stay hidden from students until the batch is published
+        const [created] = await Result.create([{ ...data, published: false }], opts);
+        batch.created.push(created._id);
+        history.push(historyEntry(req, created, "upload", {
+          before: null,
+          after: { score: created.score, grade: created.grade },
+          reason,
+          override: overridden,
+        }));
+      }
+    }
+    await recordResultHistory(history, opts);
+    await batch.save(opts);
+    return batch;
+  };
+
+  try {
+    return await runInTransaction(write);
+  } catch (err) {
+    // Without a transaction, undo whatever was written before the failure
+    await revertResultUpload(batch).catch(e => console.error("❌ Upload cleanup failed:", e));
+    throw err;
+  }
+}
+
+const xmlEscape = text => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// SheetJS does not write data validation, so it is added to the first
+// sheet's XML: rules are { sqref, type, operator?, formula1, formula2?, error }
+function withDataValidation(buffer, rules) {
+  const zip = xlsx.CFB.read(buffer, { type: "buffer" });
+  const entry = xlsx.CFB.find(zip, "/xl/worksheets/sheet1.xml");
+  const xml = Buffer.from(entry.content).toString("utf8");
+  const block = `<dataValidations count="${rules.length}">` + rules.map(r =>
+    `<dataValidation type="${r.type}"${r.operator ? ` operator="${r.operator}"` : ""} allowBlank="1" showErrorMessage="1" ` +
+    `errorTitle="Invalid value" error="${xmlEscape(r.error)}" sqref="${r.sqref}">` +
+    `<formula1>${xmlEscape(r.formula1)}</formula1>${r.formula2 !== undefined ? `<formula2>${xmlEscape(r.formula2)}</formula2>` : ""}` +
+    "</dataValidation>"
+  ).join("") + "</dataValidations>";
+  // dataValidations must come before these elements in a worksheet
+  const at = xml.search(/<(hyperlinks|printOptions|pageMargins|pageSetup|headerFooter|ignoredErrors)\b|<\/worksheet>/);
+  entry.content = Buffer.from(xml.slice(0, at) + block + xml.slice(at), "utf8");
+  return xlsx.CFB.write(zip, { fileType: "zip", type: "buffer" });
+}
+
+// Canonical upload sheet for one course: ?courseCode=&session=&semester=
+// Every student registered for the course that session is listed, score blank
+app.get("/api/results/template", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const code = String(req.query.courseCode || "").trim().toUpperCase();
+    if (!code) return res.status(400).json({ success: false, message: "courseCode is required" });
+    const course = (await findCatalogCourses([code])).get(code);
+    if (!course) return res.status(404).json({ success: false, message: `Unknown course code ${code}` });
+    const semester = req.query.semester ? semesterNumber(req.query.semester) : course.semester;
+    if (!semester) return res.status(400).json({ success: false, message: "Semester must be First or Second" });
+    const session = await resolveSession(req.query.session);
+    if (!session) return res.status(404).json({ success: false, message: "Academic session not found" });
+
+    const registrations = await CourseRegistration.find({ courseCode: course.code, session: session._id, semester })
+      .collation(CASE_INSENSITIVE)
+      .sort({ matricNumber: 1 })
+      .lean();
+
+    const sheet = xlsx.utils.aoa_to_sheet([
+      RESULT_TEMPLATE_COLUMNS,
+      ...registrations.map(r => [
+        r.matricNumber, r.studentName || "", r.department, r.level,
+        session.name, SEMESTER_NAMES[semester], course.code, course.title, null,
+      ]),
+    ]);
+    sheet["!cols"] = [{ wch: 18 }, { wch: 30 }, { wch: 22 }, { wch: 8 }, { wch: 11 }, { wch: 10 }, { wch: 11 }, { wch: 30 }, { wch: 8 }];
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, sheet, "Results");
+
+    // Room for students added by hand below the registered ones
+    const lastRow = registrations.length + 1 + 500;
+    const column = name => xlsx.utils.encode_col(RESULT_TEMPLATE_COLUMNS.indexOf(name));
+    const buffer = withDataValidation(xlsx.write(workbook, { type: "buffer", bookType: "xlsx" }), [
+      { sqref: `${column("Score")}2:${column("Score")}${lastRow}`, type: "decimal", operator: "between", formula1: "0", formula2: "100", error: "Score must be a number from 0 to 100" },
+      { sqref: `${column("Semester")}2:${column("Semester")}${lastRow}`, type: "list", formula1: `"${Object.values(SEMESTER_NAMES).join(",")}"`, error: "Semester must be First or Second" },
+      { sqref: `${column("Level")}2:${column("Level")}${lastRow}`, type: "list", formula1: '"ND1,ND2,HND1,HND2"', error: "Level must be ND1, ND2, HND1 or HND2" },
+    ]);
+
+    const filename = `results_${course.code}_${session.name}_${SEMESTER_NAMES[semester]}`.replace(/[^\w-]+/g, "_");
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`);
+    res.send(buffer);
+  } catch (err) {
+    console.error("❌ Result template error:", err);
+    res.status(500).json({ success: false, message: "Failed to build result template" });
+  }
+});
+
+app.post("/api/upload-results", requireRole(...ADMIN_ROLES), uploadExcel.single("file"), async (req, res) => {
+  try {
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun ?? "") === "true";
+
+    let rows;
+    let fileName = "";
+    if (req.file) {
+      // ✅ CASE 1: BULK UPLOAD (Excel file)
+      const workbook = xlsx.read(req.file.buffer, { type: "buffer" });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      rows = xlsx.utils.sheet_to_json(sheet, { defval: "" });
+      fileName = req.file.originalname;
+      if (rows.length === 0) {
+        return res.status(400).json({ message: "Excel file is empty" });
+      }
+    } else {
+      // ✅ CASE 2: SINGLE UPLOAD (Manual JSON)
+      rows = [req.body];
+    }
+    const parsed = rows.map(parseResultRow);
+
+    // Results belong to the session named in the form/body, else the one in the
+    // template's Session column, else the current one
+    const sheetSessions = [...new Set(parsed.map(r => r.session).filter(Boolean))];
+    if (!req.body.session && sheetSessions.length > 1) {
+      return res.status(400).json({ message: `The file mixes sessions (${sheetSessions.join(", ")}); upload one session at a time` });
+    }
+    const { session, error: sessionError } = await sessionForWrite(req.body.session || sheetSessions[0]);
+    if (sessionError) return res.status(400).json({ message: sessionError });
+    const lock = await resultLock(req, session?._id);
+    if (lock.error && !dryRun) return res.status(lock.error.status).json({ message: lock.error.message });
+
+    const report = await validateResultRows(parsed, { session, semester: req.body.semester, skipBlankScores: !!req.file });
+    const { rows: reportRows, summary } = publicReport(report);
 
-    await newResult.save();
-    res.json({ message: "✅ Single result uploaded successfully!" });
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, message: "Dry run complete, nothing was saved", summary, rows: reportRows });
+    }
+    if (summary.invalid) {
+      return res.status(422).json({
+        success: false,
+        message: `${summary.invalid} row(s) have errors; nothing was saved`,
+        summary,
+        rows: reportRows,
+      });
+    }
 
+    const batch = await commitResultUpload(report, { req, session, fileName, overridden: lock.overridden });
+    res.json({
+      success: true,
+      message: (req.file ? "✅ Bulk results uploaded" : "✅ Single result uploaded") + " as a draft; submit it for approval to publish",
+      count: batch.created.length + batch.updated.length,
+      uploadId: batch._id,
+      summary,
+      rows: reportRows.filter(r => r.warnings.length),
+    });
   } catch (err) {
     console.error("❌ Upload error:", err);
     res.status(500).json({
@@ -1144,35 +2682,1267 @@ app.post("/api/upload-results", uploadExcel.single("file"), async (req, res) =>
       error: err.message,
     });
   }
-});
+});
+
+// ================== RESULT APPROVAL WORKFLOW ==================
+// The lecturer (Admin) submits a draft batch, the HOD (Head Admin) approves it,
+// the Super Admin approves it for the academic board and then publishes it.
+// Every step but submit needs a comment; "return" sends a batch back to draft.
+const RESULT_STAGE_ACTIONS = {
+  submit: { from: ["draft"], to: "submitted", roles: ["Admin", "Head Admin", "Super Admin"] },
+  "hod-approve": { from: ["submitted"], to: "hod-approved", roles: ["Head Admin"] },
+  approve: { from: ["hod-approved"], to: "approved", roles: ["Super Admin"] },
+  publish: { from: ["approved"], to: "published", roles: ["Super Admin"] },
+  return: { from: ["submitted", "hod-approved", "approved"], to: "draft", roles: ["Head Admin", "Super Admin"] },
+};
+const PENDING_RESULT_STAGES = ["draft", "submitted", "hod-approved", "approved"];
+
+// Beyond the role: a batch is submitted by whoever uploaded it or by staff of one of its
+// departments, and a Head Admin only approves or returns batches of their own department.
+// Resolves an error message, or null when the caller may act.
+async function batchActionError(req, action, upload) {
+  const needsDepartment = action === "submit" || (req.auth.role === "Head Admin" && (action === "hod-approve" || action === "return"));
+  if (!needsDepartment) return null;
+  if (action === "submit" && sameText(upload.uploadedBy, req.auth.email)) return null;
+
+  const admin = await Admin.findById(req.auth.id).select("department").lean();
+  if (admin && upload.departments.some(d => sameText(d, admin.department))) return null;
+  return action === "submit"
+    ? "Only the uploader or staff of the batch's department can submit it"
+    : "You can only act on batches from your own department";
+}
+
+// Results students may see; results without the flag predate the workflow
+const PUBLISHED_RESULTS = { published: { $ne: false } };
+
+app.post("/api/result-uploads/:id/:action(submit|hod-approve|approve|publish|return)", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const step = RESULT_STAGE_ACTIONS[req.params.action];
+    if (!step.roles.includes(req.auth.role)) {
+      return res.status(403).json({ success: false, message: `Only ${step.roles.join(" or ")} can ${req.params.action} results` });
+    }
+    const comment = String(req.body.comment || "").trim();
+    if (!comment && req.params.action !== "submit") {
+      return res.status(400).json({ success: false, message: "A comment is required" });
+    }
+
+    const upload = await ResultUpload.findOne({ _id: req.params.id, status: "committed" });
+    if (!upload) return res.status(404).json({ success: false, message: "Committed upload not found" });
+    const permissionError = await batchActionError(req, req.params.action, upload);
+    if (permissionError) return res.status(403).json({ success: false, message: permissionError });
+    const from = upload.stage || "draft";
+    if (!step.from.includes(from)) {
+      return res.status(409).json({ success: false, message: `Upload is ${from}; it cannot be moved to ${step.to}` });
+    }
+
+    const updated = await runInTransaction(async (dbSession) => {
+      const opts = dbSession ? { session: dbSession } : {};
+      // Only results this batch still owns; later uploads publish their own
+      if (step.to === "published") {
+        await Result.updateMany({
+          _id: { $in: [...upload.created, ...upload.updated.map(u => u.result)] },
+          uploadBatch: upload._id,
+        }, { $set: { published: true } }, opts);
+        upload.publishedAt = new Date();
+      }
+      upload.stage = step.to;
+      upload.approvals.push({
+        action: req.params.action,
+        from,
+        to: step.to,
+        by: req.auth.email,
+        role: req.auth.role,
+        comment,
+      });
+      return upload.save(opts);
+    });
+
+    res.json({ success: true, message: `Upload moved from ${from} to ${step.to}`, data: updated });
+  } catch (err) {
+    console.error("❌ Result workflow error:", err);
+    res.status(500).json({ success: false, message: "Failed to update upload stage" });
+  }
+});
+
+// Batches waiting on someone, grouped by department: ?department= and ?stage= narrow it
+app.get("/api/result-uploads/pending", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const stages = req.query.stage ? [req.query.stage] : PENDING_RESULT_STAGES;
+    const query = { status: "committed", stage: { $in: stages } };
+    if (req.query.department) query.departments = req.query.department.trim();
+    if (req.query.session) {
+      const session = await resolveSession(req.query.session);
+      if (!session) return res.status(404).json({ success: false, message: "Academic session not found" });
+      query.session = session._id;
+    }
+
+    const uploads = await ResultUpload.find(query)
+      .collation(CASE_INSENSITIVE)
+      .select("-created -updated")
+      .populate("session", "name")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const byDepartment = new Map();
+    for (const upload of uploads) {
+      for (const department of upload.departments.length ? upload.departments : ["Unspecified"]) {
+        if (req.query.department && !sameText(department, req.query.department)) continue;
+        if (!byDepartment.has(department)) {
+          byDepartment.set(department, { department, counts: Object.fromEntries(stages.map(st => [st, 0])), uploads: [] });
+        }
+        const group = byDepartment.get(department);
+        group.counts[upload.stage] += 1;
+        group.uploads.push(upload);
+      }
+    }
+
+    const data = [...byDepartment.values()].sort((a, b) => a.department.localeCompare(b.department));
+    res.json({ success: true, total: uploads.length, data });
+  } catch (err) {
+    console.error("❌ Pending result uploads error:", err);
+    res.status(500).json({ success: false, message: "Failed to load pending uploads" });
+  }
+});
+
+// Upload batches, newest first
+app.get("/api/result-uploads", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.stage) query.stage = req.query.stage;
+    if (req.query.department) query.departments = req.query.department.trim();
+    const uploads = await ResultUpload.find(query)
+      .collation(CASE_INSENSITIVE)
+      .select("-created -updated")
+      .populate("session", "name")
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+      .lean();
+    res.json({ success: true, data: uploads });
+  } catch (err) {
+    console.error("❌ List result uploads error:", err);
+    res.status(500).json({ success: false, message: "Failed to load result uploads" });
+  }
+});
+
+app.get("/api/result-uploads/:id", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const upload = await ResultUpload.findById(req.params.id).populate("session", "name").lean();
+    if (!upload) return res.status(404).json({ success: false, message: "Upload not found" });
+
+    const results = await Result.find({ _id: { $in: [...upload.created, ...upload.updated.map(u => u.result)] } }).lean();
+    res.json({ success: true, data: { ...upload, results } });
+  } catch (err) {
+    console.error("❌ Get result upload error:", err);
+    res.status(500).json({ success: false, message: "Failed to load result upload" });
+  }
+});
+
+app.post("/api/result-uploads/:id/rollback", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const upload = await ResultUpload.findOne({ _id: req.params.id, status: "committed" });
+    if (!upload) return res.status(404).json({ success: false, message: "Committed upload not found" });
+
+    const lock = await resultLock(req, upload.session);
+    if (lock.error) return res.status(lock.error.status).json({ success: false, message: lock.error.message });
+
+    const outcome = await runInTransaction(async (dbSession) => {
+      const result = await revertResultUpload(upload, dbSession, req, lock.overridden);
+      upload.status = "rolled-back";
+      upload.rolledBackAt = new Date();
+      upload.rolledBackBy = req.auth.email;
+      await upload.save(dbSession ? { session: dbSession } : {});
+      return result;
+    });
+
+    res.json({
+      success: true,
+      message: `Upload rolled back: ${outcome.removed} removed, ${outcome.restored} restored` +
+        (outcome.skipped.length ? `, ${outcome.skipped.length} left as edited since` : ""),
+      ...outcome,
+    });
+  } catch (err) {
+    console.error("❌ Rollback result upload error:", err);
+    res.status(500).json({ success: false, message: "Failed to roll back upload" });
+  }
+});
+
+// ================== RESULT EDITS & HISTORY ==================
+// Once a session's results are approved they are locked: edits, deletes and
+// uploads for that session need a Head Admin sending { override: true }.
+const RESULT_EDIT_ROLES = ["Super Admin", "Head Admin"];
+const RESULT_OVERRIDE_ROLE = "Head Admin";
+const RESULT_EDITABLE_FIELDS = ["fullname", "department", "level", "semester", "score"];
+
+// { error: { status, message } | null, overridden } where overridden is true
+// only when the session is locked and a Head Admin's override let the write through
+async function resultLock(req, sessionId) {
+  const open = { error: null, overridden: false };
+  if (!sessionId) return open;
+  const session = await AcademicSession.findById(sessionId).select("name resultsApprovedAt").lean();
+  if (!session?.resultsApprovedAt) return open;
+  const override = req.body?.override === true || req.body?.override === "true" || req.query.override === "true";
+  if (override && req.auth.role === RESULT_OVERRIDE_ROLE) return { error: null, overridden: true };
+  return {
+    error: {
+      status: 423,
+      message: `Results for ${session.name} are approved and locked; a ${RESULT_OVERRIDE_ROLE} override is required`,
+    },
+    overridden: false,
+  };
+}
+
+function recordResultHistory(entries, opts = {}) {
+  return entries.length ? ResultHistory.insertMany(entries, opts) : null;
+}
+
+function historyEntry(req, result, action, { before, after, reason, override }) {
+  return {
+    result: result._id,
+    matricNo: result.matricNo,
+    courseCode: result.courseCode,
+    session: result.session,
+    action,
+    old: before,
+    new: after,
+    changedBy: req.auth.email,
+    role: req.auth.role,
+    reason,
+    override: override === true,
+  };
+}
+
+// PATCH takes any of RESULT_EDITABLE_FIELDS plus a reason; fields left out keep their values.
+// A result with a valid score is regraded with the scale for its session/department/level.
+async function updateResult(req, res) {
+  try {
+    const reason = String(req.body.reason || "").trim();
+    if (!reason) return res.status(400).json({ success: false, message: "A reason is required to change a result" });
+
+    const result = await Result.findById(req.params.id);
+    if (!result) return res.status(404).json({ success: false, message: "Result not found" });
+
+    const lock = await resultLock(req, result.session);
+    if (lock.error) return res.status(lock.error.status).json({ success: false, message: lock.error.message });
+
+    const changes = {};
+    for (const field of RESULT_EDITABLE_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      changes[field] = field === "score" ? Number(req.body[field]) : String(req.body[field]).trim();
+    }
+    if ("score" in changes && !validScore(changes.score)) {
+      return res.status(400).json({ success: false, message: "Score must be a number from 0 to 100" });
+    }
+    if ("semester" in changes) {
+      const semester = semesterNumber(changes.semester);
+      if (!semester) return res.status(400).json({ success: false, message: "Semester must be First or Second" });
+      changes.semester = SEMESTER_NAMES[semester];
+    }
+
+    const next = { ...result.toObject(), ...changes };
+    const regrade = "score" in changes || "department" in changes || "level" in changes;
+    if (regrade && validScore(next.score)) {
+      const scale = await findGradingScale({ session: result.session, department: next.department || "", level: next.level || "" });
+      const { grade, points } = gradeWithScale(scale, next.score);
+      Object.assign(changes, { grade, gradePoint: points, gradingScale: scale._id });
+    }
+
+    const before = {};
+    const after = {};
+    for (const [field, value] of Object.entries(changes)) {
+      if (String(result[field] ?? "") === String(value ?? "")) continue;
+      before[field] = result[field] ?? null;
+      after[field] = value;
+    }
+    if (!Object.keys(after).length) {
+      return res.json({ success: true, message: "Nothing changed", data: result });
+    }
+
+    result.set(after);
+    await runInTransaction(async (dbSession) => {
+      const opts = dbSession ? { session: dbSession } : {};
+      await result.save(opts);
+      await recordResultHistory([historyEntry(req, result, "update", { before, after, reason, override: lock.overridden })], opts);
+    });
+
+    res.json({ success: true, message: "Result updated", data: result });
+  } catch (err) {
+    console.error("❌ Update result error:", err);
+    res.status(500).json({ success: false, message: "Failed to update result", error: err.message });
+  }
+}
+
+app.patch("/api/results/:id", requireRole(...RESULT_EDIT_ROLES), updateResult);
+
+// Reason in the body or ?reason=
+app.delete("/api/results/:id", requireRole(...RESULT_EDIT_ROLES), async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || req.query.reason || "").trim();
+    if (!reason) return res.status(400).json({ success: false, message: "A reason is required to delete a result" });
+
+    const result = await Result.findById(req.params.id);
+    if (!result) return res.status(404).json({ success: false, message: "Result not found" });
+
+    const lock = await resultLock(req, result.session);
+    if (lock.error) return res.status(lock.error.status).json({ success: false, message: lock.error.message });
+
+    await runInTransaction(async (dbSession) => {
+      const opts = dbSession ? { session: dbSession } : {};
+      await Result.deleteOne({ _id: result._id }, opts);
+      await recordResultHistory([historyEntry(req, result, "delete", {
+        before: result.toObject(), after: null, reason, override: lock.overridden,
+      })], opts);
+    });
+
+    res.json({ success: true, message: "Result deleted" });
+  } catch (err) {
+    console.error("❌ Delete result error:", err);
+    res.status(500).json({ success: false, message: "Failed to delete result", error: err.message });
+  }
+});
+
+app.get("/api/results/:id/history", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const history = await ResultHistory.find({ result: req.params.id }).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, data: history });
+  } catch (err) {
+    console.error("❌ Result history error:", err);
+    res.status(500).json({ success: false, message: "Failed to load result history" });
+  }
+});
+
+// ====== Fetch Result Route (robust version) =======
+app.get("/api/results", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), async (req, res) => {
+  try {
+    const { matricNo, department, level, semester } = req.query;
+    const query = {};
+
+    // Optional filters
+    if (matricNo) query.matricNo = matricNo.trim();
+    // Students only ever see their own published results
+    if (req.auth.role === STUDENT_ROLE) {
+      query.matricNo = await studentMatricNo(req);
+      Object.assign(query, PUBLISHED_RESULTS);
+    } else if (req.query.published !== undefined) {
+      Object.assign(query, req.query.published === "true" ? PUBLISHED_RESULTS : { published: false });
+    }
+    if (department) query.department = department.trim();
+    if (level) query.level = level.trim();
+    if (semester) query.semester = semester.trim();
+    if (req.query.session) {
+      const session = await resolveSession(req.query.session);
+      if (!session) return res.status(404).json({ message: "Academic session not found" });
+      query.session = session._id;
+    }
+
+    const results = await Result.find(query).sort({ uploadedAt: -1 });
+    res.json({ results });
+  } catch (err) {
+    res.status(500).json({
+      message: "Error fetching results",
+      error: err.message,
+    });
+  }
+});
+
+
+// ================== ACADEMIC SUMMARY (GPA / CGPA) ==================
+// Polytechnic diploma classes on a 4.00 scale, scaled to the top grade point
+// of the student's grading scale (e.g. Distinction from 4.375 on a 5-point scale)
+const DIPLOMA_CLASSES = [
+  { name: "Distinction", min: 3.5 },
+  { name: "Upper Credit", min: 3.0 },
+  { name: "Lower Credit", min: 2.5 },
+  { name: "Pass", min: 2.0 },
+];
+
+function classOfDiploma(cgpa, maxPoints) {
+  const onFourPointScale = maxPoints ? (cgpa / maxPoints) * 4 : 0;
+  return DIPLOMA_CLASSES.find(c => onFourPointScale >= c.min - 1e-9)?.name || "Fail";
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+const matricKey = matricNo => String(matricNo || "").trim().toUpperCase();
+
+// Everything summarizeResults needs besides the results themselves, loaded once for
+// any number of students: catalogue units, units stored on registrations and the
+// grading scale of every result (the active scale for results graded before scales existed)
+async function loadSummaryContext(results, matricNos) {
+  const codes = [...new Set(results.map(r => (r.courseCode || "").trim().toUpperCase()))];
+  const catalog = await findCatalogCourses(codes);
+
+  const registrations = await CourseRegistration.find({ matricNumber: { $in: matricNos }, unit: { $ne: null } })
+    .collation(CASE_INSENSITIVE)
+    .lean();
+  const registeredUnits = new Map(); // matric -> code -> unit
+  for (const r of registrations) {
+    const matric = matricKey(r.matricNumber);
+    if (!registeredUnits.has(matric)) registeredUnits.set(matric, new Map());
+    registeredUnits.get(matric).set(r.courseCode.trim().toUpperCase(), r.unit);
+  }
+
+  const scaleIds = [...new Set(results.filter(r => r.gradingScale).map(r => String(r.gradingScale)))];
+  const scales = new Map(
+    (await GradingScale.find({ _id: { $in: scaleIds } }).lean()).map(s => [String(s._id), s])
+  );
+  const fallbackKey = r => `${r.session?._id || ""}|${r.department || ""}|${r.level || ""}`;
+  const fallbackScales = new Map();
+  for (const r of results) {
+    if (r.gradingScale && scales.has(String(r.gradingScale))) continue;
+    const key = fallbackKey(r);
+    if (fallbackScales.has(key)) continue;
+    fallbackScales.set(key, await findGradingScale({ session: r.session?._id, department: r.department || "", level: r.level || "" }));
+  }
+
+  return {
+    catalog,
+    registeredUnits,
+    scaleFor: r => scales.get(String(r.gradingScale)) || fallbackScales.get(fallbackKey(r)),
+  };
+}
+
+// Semester GPAs, CGPA, units and carry-overs for one student's results (sorted by
+// upload time, session populated). Units come from the course catalogue (or the
+// registration when a course has since been removed); grade points come from the
+// scale each result was graded with. Every attempt counts towards the CGPA; a
+// course stays a carry-over until one attempt passes.
+function summarizeResults(matricNo, results, { catalog, registeredUnits, scaleFor }) {
+  const ownUnits = registeredUnits.get(matricKey(matricNo)) || new Map();
+  const unitOf = code => catalog.get(code)?.unit ?? ownUnits.get(code) ?? 0;
+
+  const terms = new Map();
+  const passed = new Set();
+  const attempted = new Map(); // code -> latest result
+  let maxPoints = 0;
+
+  for (const r of results) {
+    const code = (r.courseCode || "").trim().toUpperCase();
+    const scale = scaleFor(r);
+    const band = scale.bands.find(b => b.grade === String(r.grade || "").toUpperCase())
+      || (Number.isFinite(r.score) ? gradeWithScale(scale, r.score) : null);
+    const points = r.gradePoint ?? band?.points ?? 0;
+    const pass = band ? band.pass !== false : false;
+    const unit = unitOf(code);
+    maxPoints = Math.max(maxPoints, ...scale.bands.map(b => b.points));
+
+    const semester = semesterNumber(r.semester);
+    const key = `${r.session?.name || ""}|${r.level || ""}|${semester || ""}`;
+    if (!terms.has(key)) {
+      terms.set(key, {
+        session: r.session?.name || null,
+        level: r.level || "",
+        semester,
+        courses: [],
+        units: 0,
+        qualityPoints: 0,
+      });
+    }
+    const term = terms.get(key);
+    term.courses.push({
+      resultId: r._id,
+      courseCode: r.courseCode,
+      courseTitle: r.courseTitle,
+      unit,
+      score: r.score,
+      grade: r.grade,
+      gradePoint: points,
+      passed: pass,
+    });
+    term.units += unit;
+    term.qualityPoints += unit * points;
+
+    if (pass) passed.add(code);
+    attempted.set(code, r);
+  }
+
+  const levelOrder = ["ND1", "ND2", "HND1", "HND2"];
+  const orderOf = t => [t.session || "", levelOrder.indexOf(t.level.toUpperCase()), t.semester || 0];
+  const semesters = [...terms.values()].sort((a, b) => {
+    const [x, y] = [orderOf(a), orderOf(b)];
+    return x[0].localeCompare(y[0]) || x[1] - y[1] || x[2] - y[2];
+  });
+
+  let totalUnits = 0;
+  let totalQualityPoints = 0;
+  for (const term of semesters) {
+    totalUnits += term.units;
+    totalQualityPoints += term.qualityPoints;
+    term.gpa = term.units ? round2(term.qualityPoints / term.units) : 0;
+    term.cgpa = totalUnits ? round2(totalQualityPoints / totalUnits) : 0;
+  }
+
+  const carryOvers = [...attempted.entries()]
+    .filter(([code]) => !passed.has(code))
+    .map(([code, r]) => ({ courseCode: r.courseCode, courseTitle: r.courseTitle, unit: unitOf(code), lastGrade: r.grade }));
+
+  const cgpa = totalUnits ? round2(totalQualityPoints / totalUnits) : 0;
+  const unitsPassed = semesters.reduce((sum, t) => sum + t.courses.filter(c => c.passed).reduce((s, c) => s + c.unit, 0), 0);
+
+  return {
+    matricNo,
+    fullname: results[results.length - 1]?.fullname || "",
+    semesters,
+    totalUnits,
+    unitsPassed,
+    totalQualityPoints: round2(totalQualityPoints),
+    cgpa,
+    maxGradePoint: maxPoints,
+    carryOvers,
+    classOfDiploma: results.length ? classOfDiploma(cgpa, maxPoints) : null,
+  };
+}
+
+// Summaries for many students with one results query: Map of matricNo -> summary.
+// publishedOnly leaves out results still under approval.
+async function loadAcademicSummaries(matricNos, { publishedOnly = false } = {}) {
+  const results = await Result.find({ matricNo: { $in: matricNos }, ...(publishedOnly ? PUBLISHED_RESULTS : {}) })
+    .collation(CASE_INSENSITIVE)
+    .populate("session", "name")
+    .sort({ uploadedAt: 1 })
+    .lean();
+  const context = await loadSummaryContext(results, matricNos);
+
+  const byStudent = new Map();
+  for (const r of results) {
+    const matric = matricKey(r.matricNo);
+    if (!byStudent.has(matric)) byStudent.set(matric, []);
+    byStudent.get(matric).push(r);
+  }
+  return new Map(matricNos.map(m => [m, summarizeResults(m, byStudent.get(matricKey(m)) || [], context)]));
+}
+
+async function computeAcademicSummary(matricNo, options = {}) {
+  return (await loadAcademicSummaries([matricNo], options)).get(matricNo);
+}
+
+app.get("/api/students/:matric/academic-summary", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), ownMatricNo(req => req.params.matric), async (req, res) => {
+  try {
+    const matricNo = req.params.matric.trim();
+    const summary = await computeAcademicSummary(matricNo, { publishedOnly: req.auth.role === STUDENT_ROLE });
+    if (!summary.semesters.length) {
+      return res.status(404).json({ success: false, message: "No results found for this student" });
+    }
+
+    const student = await findStudentRecordByMatric(matricNo);
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        student: student ? { fullname: student.fullname, department: student.department, level: student.level } : null,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Academic summary error:", err);
+    res.status(500).json({ success: false, message: "Failed to compute academic summary" });
+  }
+});
+
+// ================== DOCUMENT VERIFICATION ==================
+// Codes look like TR-7K3M9Q2X-<32 hex>: type prefix, random serial, then the first
+// 16 bytes of an HMAC over the type, serial and the key fields printed on the
+// document. The verify endpoint recomputes the HMAC from the stored record, so a
+// code only checks out for the exact contents it was issued with.
+// VERIFICATION_SECRET has its own key (no fallback); without it no documents are issued.
+const VERIFICATION_SECRET = process.env.VERIFICATION_SECRET || "";
+if (!VERIFICATION_SECRET) {
+  console.warn("⚠️ VERIFICATION_SECRET not set, transcripts, slips and receipts cannot be issued");
+}
+const VERIFY_BASE_URL = process.env.VERIFY_BASE_URL || "https://ict-reg.onrender.com";
+const DOCUMENT_PREFIXES = { transcript: "TR", "result-slip": "RS", "exam-slip": "ES", receipt: "RC" };
+const SIGNATURE_HEX_LENGTH = 32;
+
+// Key fields the public verify endpoint shows for each document type
+const VERIFIED_FIELDS = {
+  transcript: ["name", "cgpa", "classOfDiploma"],
+  "result-slip": ["name", "level", "gpa", "cgpa"],
+  "exam-slip": ["name", "department", "level"],
+  receipt: ["name", "receiptNo", "amount", "paymentType", "paidAt"],
+};
+
+// Routes that issue or verify documents answer 503 until the secret is configured
+function requireVerificationSecret(req, res, next) {
+  if (VERIFICATION_SECRET) return next();
+  return res.status(503).json({ success: false, message: "Document verification is not configured; please contact the admin office" });
+}
+
+// JSON with sorted keys, so the same fields always sign the same way
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value).filter(k => value[k] !== undefined).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function documentSignature(type, serial, details) {
+  if (!VERIFICATION_SECRET) throw new Error("VERIFICATION_SECRET is not set");
+  return crypto.createHmac("sha256", VERIFICATION_SECRET)
+    .update(`${type}|${serial}|${canonicalJson(details)}`)
+    .digest("hex")
+    .slice(0, SIGNATURE_HEX_LENGTH)
+    .toUpperCase();
+}
+
+// Records a generated document and returns it with its signed code
+async function issueDocument({ type, matricNo, session, semester, reference, details, issuedBy }) {
+  for (let attempt = 0; ; attempt++) {
+    const serial = Array.from({ length: 8 }, () => PIN_ALPHABET[crypto.randomInt(PIN_ALPHABET.length)]).join("");
+    const code = `${DOCUMENT_PREFIXES[type]}-${serial}-${documentSignature(type, serial, details)}`;
+    try {
+      return await IssuedDocument.create({ code, type, matricNo, session, semester, reference, details, issuedBy });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= 2) throw err;
+    }
+  }
+}
+
+function verificationUrl(code) {
+  return `${VERIFY_BASE_URL}/api/verify/${encodeURIComponent(code)}`;
+}
+
+// PNG of a QR code pointing at the verify endpoint
+function verificationQr(code) {
+  return QRCode.toBuffer(verificationUrl(code), { margin: 1, width: 160 });
+}
+
+const verifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: "Too many verification requests, please try again later",
+});
+
+// Public: confirms a printed document and shows what it should say
+app.get("/api/verify/:code", verifyLimiter, requireVerificationSecret, async (req, res) => {
+  try {
+    const code = String(req.params.code || "").trim().toUpperCase();
+    const [prefix, serial, signature] = code.split("-");
+    const type = Object.keys(DOCUMENT_PREFIXES).find(t => DOCUMENT_PREFIXES[t] === prefix);
+    const invalid = () => res.status(404).json({ success: false, valid: false, message: "This verification code is not valid" });
+    if (!type || !serial || !signature) return invalid();
+
+    const issued = await IssuedDocument.findOne({ code }).populate("session", "name").lean();
+    if (!issued) return invalid();
+
+    const expected = Buffer.from(documentSignature(issued.type, serial, issued.details));
+    if (expected.length !== Buffer.from(signature).length || !crypto.timingSafeEqual(expected, Buffer.from(signature))) {
+      return invalid();
+    }
+
+    // Receipts are also checked against the live payment record
+    let current = true;
+    if (issued.type === "receipt") {
+      const payment = await Payment.findOne({ systemPaymentId: issued.reference }).lean();
+      current = !!payment && payment.amount === issued.details.amount;
+    }
+
+    res.json({
+      success: true,
+      valid: true,
+      current,
+      message: current ? "Document is authentic" : "Document is authentic but the underlying record has since changed",
+      data: {
+        type: issued.type,
+        code: issued.code,
+        matricNo: issued.matricNo,
+        session: issued.session?.name || null,
+        semester: issued.semester || null,
+        issuedAt: issued.createdAt,
+        ...Object.fromEntries((VERIFIED_FIELDS[issued.type] || []).map(f => [f, issued.details?.[f] ?? null])),
+      },
+    });
+  } catch (err) {
+    console.error("❌ Verify document error:", err);
+    res.status(500).json({ success: false, message: "Failed to verify document" });
+  }
+});
+
+// Code + QR for a payment receipt (staff)
+app.post("/api/payments/:systemPaymentId/verification", requireRole("Super Admin", "Cashier"), requireVerificationSecret, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ systemPaymentId: req.params.systemPaymentId }).lean();
+    if (!payment) return res.status(404).json({ success: false, message: "Payment not found" });
+
+    const issued = await issueReceiptDocument(payment, req.auth.email || req.auth.id);
+    res.json({
+      success: true,
+      code: issued.code,
+      verifyUrl: verificationUrl(issued.code),
+      qr: `data:image/png;base64,${(await verificationQr(issued.code)).toString("base64")}`,
+    });
+  } catch (err) {
+    console.error("❌ Receipt code error:", err);
+    res.status(500).json({ success: false, message: "Failed to issue verification code" });
+  }
+});
+
+function issueReceiptDocument(payment, issuedBy) {
+  return issueDocument({
+    type: "receipt",
+    matricNo: payment.matricNumber,
+    session: payment.session,
+    semester: semesterNumber(payment.semester),
+    reference: payment.systemPaymentId,
+    issuedBy,
+    details: {
+      name: payment.studentName,
+      receiptNo: payment.receiptNo,
+      amount: payment.amount,
+      paymentType: payment.paymentType,
+      feeItem: payment.feeItem || "tuition",
+      paidAt: new Date(payment.createdAt).toISOString(),
+    },
+  });
+}
+
+// Code + QR for an exam slip printed by slip.html: { level?, semester? }
+app.post("/api/verify/exam-slip", requireRole(STUDENT_ROLE, ...STAFF_ROLES), ownMatricNo(req => req.body.matricNumber), requireVerificationSecret, async (req, res) => {
+  try {
+    const matricNo = String(req.body.matricNumber || "").trim();
+    const student = await findStudentRecordByMatric(matricNo);
+    if (!student) return res.status(404).json({ success: false, message: "Student not found" });
+
+    const semester = semesterNumber(req.body.semester);
+    const session = await currentSession();
+    const regQuery = { matricNumber: matricNo };
+    if (session) regQuery.session = session._id;
+    if (semester) regQuery.semester = semester;
+    if (req.body.level) regQuery.level = req.body.level;
+    const registrations = await CourseRegistration.find(regQuery).sort({ courseCode: 1 }).lean();
+
+    const issued = await issueDocument({
+      type: "exam-slip",
+      matricNo,
+      session: session?._id,
+      semester,
+      issuedBy: req.auth.email || req.auth.id,
+      details: {
+        name: student.fullname,
+        department: student.department,
+        level: req.body.level || student.level,
+        courses: registrations.map(r => r.courseCode),
+      },
+    });
+
+    res.json({
+      success: true,
+      code: issued.code,
+      verifyUrl: verificationUrl(issued.code),
+      qr: `data:image/png;base64,${(await verificationQr(issued.code)).toString("base64")}`,
+    });
+  } catch (err) {
+    console.error("❌ Exam slip code error:", err);
+    res.status(500).json({ success: false, message: "Failed to issue verification code" });
+  }
+});
+
+// ================== TRANSCRIPTS & RESULT SLIPS ==================
+const SCHOOL_NAME = process.env.SCHOOL_NAME || "OWU COLLEGE OF MANAGEMENT TECHNOLOGY";
+
+async function loadRemoteImage(url) {
+  if (!url) return null;
+  try {
+    const resp = await axios.get(url, { responseType: "arraybuffer", timeout: 10000 });
+    return Buffer.from(resp.data);
+  } catch (err) {
+    console.warn("Image fetch failed for", url, err.message);
+    return null;
+  }
+}
+
+// Runs draw(doc) on a new A4 document (or per options) and resolves the finished PDF
+function renderPdf(draw, options = {}) {
+  return new Promise((resolve, reject) => {
+    const stream = new streamBuffers.WritableStreamBuffer();
+    const doc = new PDFDocument({ margin: 40, size: "A4", ...options });
+    doc.pipe(stream);
+    stream.on("finish", () => resolve(stream.getContents()));
+    stream.on("error", reject);
+    Promise.resolve(draw(doc)).then(() => doc.end(), reject);
+  });
+}
+
+function termLabel(term) {
+  const semester = term.semester === 2 ? "Second Semester" : term.semester === 1 ? "First Semester" : "Semester not set";
+  return [term.session, term.level, semester].filter(Boolean).join(" — ");
+}
+
+// Logo, school name, title, then the student block with passport on the right
+function writeDocumentHeader(doc, { title, student, summary, passport }) {
+  const { left } = doc.page.margins;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  if (fs.existsSync(LOGO_PATH)) doc.image(LOGO_PATH, left, 36, { fit: [60, 60] });
+  doc.font("Helvetica-Bold").fontSize(15).text(SCHOOL_NAME, left + 70, 44, { width: width - 140, align: "center" });
+  doc.fontSize(12).text(title, left + 70, doc.y + 4, { width: width - 140, align: "center" });
+
+  const top = 112;
+  if (passport) {
+    try {
+      doc.image(passport, left + width - 80, top, { fit: [80, 90] });
+    } catch {
+      // unreadable image, leave the space empty
+    }
+  }
+  doc.font("Helvetica").fontSize(10);
+  const line = (label, value) => {
+    doc.font("Helvetica-Bold").text(`${label}: `, { continued: true }).font("Helvetica").text(value || "-");
+  };
+  doc.x = left;
+  doc.y = top;
+  line("Name", student?.fullname || summary.fullname);
+  line("Matric Number", summary.matricNo);
+  line("Department", student?.department);
+  line("Level", student?.level);
+  doc.y = Math.max(doc.y, top + 96);
+}
+
+const RESULT_COLUMNS = [
+  { label: "Code", key: "courseCode", width: 70 },
+  { label: "Course Title", key: "courseTitle", width: 225 },
+  { label: "Units", key: "unit", width: 45, align: "center" },
+  { label: "Score", key: "score", width: 50, align: "center" },
+  { label: "Grade", key: "grade", width: 50, align: "center" },
+  { label: "GP", key: "gradePoint", width: 45, align: "center" },
+];
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom - 40) doc.addPage();
+}
+
+function writeResultTerm(doc, term) {
+  const { left } = doc.page.margins;
+  ensureSpace(doc, 70);
+  doc.font("Helvetica-Bold").fontSize(11).text(termLabel(term), left, doc.y + 8);
+  doc.moveDown(0.3);
+
+  const row = (cells, bold) => {
+    ensureSpace(doc, 16);
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    RESULT_COLUMNS.forEach((col, i) => {
+      doc.text(String(cells[i] ?? ""), x + 3, y + 3, { width: col.width - 6, height: 11, align: col.align || "left", ellipsis: true });
+      x += col.width;
+    });
+    doc.rect(left, y, x - left, 15).strokeColor("#ccc").stroke();
+    doc.x = left;
+    doc.y = y + 15;
+  };
+
+  row(RESULT_COLUMNS.map(c => c.label), true);
+  for (const course of term.courses) row(RESULT_COLUMNS.map(c => course[c.key]));
+
+  doc.font("Helvetica").fontSize(9)
+    .text(`Units: ${term.units}    GPA: ${term.gpa.toFixed(2)}    CGPA: ${term.cgpa.toFixed(2)}`, left, doc.y + 4);
+  doc.moveDown(0.5);
+}
+
+// Code as text plus a QR code linking to /api/verify/:code
+function writeVerificationFooter(doc, issued, qr) {
+  ensureSpace(doc, 90);
+  doc.moveDown();
+  const { left } = doc.page.margins;
+  const top = doc.y;
+  if (qr) doc.image(qr, left, top, { fit: [72, 72] });
+  doc.font("Helvetica").fontSize(9).fillColor("#333")
+    .text(`Verification code: ${issued.code}`, left + (qr ? 82 : 0), top + 10)
+    .text(`Issued: ${issued.createdAt.toLocaleString()}`)
+    .text(`Verify at ${verificationUrl(issued.code)}`)
+    .fillColor("#000");
+  doc.x = left;
+  doc.y = Math.max(doc.y, top + 76);
+}
+
+async function buildTranscriptPdf(matricNo, issuedBy) {
+  const summary = await computeAcademicSummary(matricNo, { publishedOnly: true });
+  if (!summary.semesters.length) return null;
+
+  const student = await findStudentRecordByMatric(matricNo);
+  const passport = await loadRemoteImage(student?.passport);
+  const issued = await issueDocument({
+    type: "transcript",
+    matricNo,
+    issuedBy,
+    details: { name: student?.fullname || summary.fullname, cgpa: summary.cgpa, totalUnits: summary.totalUnits, classOfDiploma: summary.classOfDiploma },
+  });
+
+  const qr = await verificationQr(issued.code);
+
+  return renderPdf(doc => {
+    writeDocumentHeader(doc, { title: "ACADEMIC TRANSCRIPT", student, summary, passport });
+    summary.semesters.forEach(term => writeResultTerm(doc, term));
+
+    ensureSpace(doc, 70);
+    doc.moveDown();
+    doc.font("Helvetica-Bold").fontSize(11).text("Summary", doc.page.margins.left);
+    doc.font("Helvetica").fontSize(10)
+      .text(`Total units: ${summary.totalUnits}    Units passed: ${summary.unitsPassed}`)
+      .text(`CGPA: ${summary.cgpa.toFixed(2)} (of ${summary.maxGradePoint.toFixed(2)})    Class: ${summary.classOfDiploma}`)
+      .text(`Outstanding carry-overs: ${summary.carryOvers.map(c => c.courseCode).join(", ") || "None"}`);
+    writeVerificationFooter(doc, issued, qr);
+  });
+}
+
+function sendPdf(res, buffer, filename) {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename.replace(/[^\w.-]+/g, "_")}"`);
+  res.send(buffer);
+}
+
+app.get("/api/results/:matric/transcript.pdf", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), ownMatricNo(req => req.params.matric), requireVerificationSecret, async (req, res) => {
+  try {
+    const matricNo = req.params.matric.trim();
+    const pdf = await buildTranscriptPdf(matricNo, req.auth.email || req.auth.id);
+    if (!pdf) return res.status(404).json({ success: false, message: "No results found for this student" });
+    sendPdf(res, pdf, `transcript_${matricNo}.pdf`);
+  } catch (err) {
+    console.error("❌ Transcript error:", err);
+    res.status(500).json({ success: false, message: "Failed to generate transcript" });
+  }
+});
+
+// Result slip for one semester: ?session=<id|name>&semester=1|2[&level=]
+app.get("/api/results/:matric/slip.pdf", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), ownMatricNo(req => req.params.matric), requireVerificationSecret, async (req, res) => {
+  try {
+    const matricNo = req.params.matric.trim();
+    const semester = semesterNumber(req.query.semester);
+    if (!semester) return res.status(400).json({ success: false, message: "semester is required" });
+
+    let sessionName = null;
+    if (req.query.session) {
+      const session = await resolveSession(req.query.session);
+      if (!session) return res.status(404).json({ success: false, message: "Academic session not found" });
+      sessionName = session.name;
+    }
+
+    const summary = await computeAcademicSummary(matricNo, { publishedOnly: true });
+    const term = summary.semesters.find(t =>
+      t.semester === semester &&
+      (!req.query.session || t.session === sessionName) &&
+      (!req.query.level || t.level.toUpperCase() === String(req.query.level).trim().toUpperCase())
+    );
+    if (!term) return res.status(404).json({ success: false, message: "No results for that semester" });
+
+    const student = await findStudentRecordByMatric(matricNo);
+    const passport = await loadRemoteImage(student?.passport);
+    const termSession = term.session ? await resolveSession(term.session) : null;
+    const issued = await issueDocument({
+      type: "result-slip",
+      matricNo,
+      session: termSession?._id,
+      semester,
+      issuedBy: req.auth.email || req.auth.id,
+      details: { name: student?.fullname || summary.fullname, level: term.level, gpa: term.gpa, cgpa: term.cgpa, units: term.units },
+    });
+
+    const qr = await verificationQr(issued.code);
+    const pdf = await renderPdf(doc => {
+      writeDocumentHeader(doc, { title: "SEMESTER RESULT SLIP", student, summary, passport });
+      writeResultTerm(doc, term);
+      writeVerificationFooter(doc, issued, qr);
+    });
+    sendPdf(res, pdf, `result_slip_${matricNo}_${term.session || term.level}_${semester}.pdf`);
+  } catch (err) {
+    console.error("❌ Result slip error:", err);
+    res.status(500).json({ success: false, message: "Failed to generate result slip" });
+  }
+});
+
+// ================== RESULT ANALYTICS & BROADSHEET ==================
+// Pass/fail comes from the band the result was graded with, so a scale that
+// makes E a failing grade is respected.
+const ANALYTICS_GROUPS = {
+  course: r => ({ courseCode: (r.courseCode || "").trim().toUpperCase(), courseTitle: r.courseTitle || "" }),
+  department: r => ({ department: r.department || "" }),
+  level: r => ({ level: (r.level || "").toUpperCase() }),
+  semester: r => ({ semester: SEMESTER_NAMES[semesterNumber(r.semester)] || r.semester || "" }),
+};
+
+// Shared filters for analytics and the broadsheet: session, department, level, courseCode, published
+async function resultFilterQuery(q) {
+  const query = {};
+  if (q.session) {
+    const session = await resolveSession(q.session);
+    if (!session) return { error: "Academic session not found" };
+    query.session = session._id;
+  }
+  if (q.department) query.department = String(q.department).trim();
+  if (q.level) query.level = String(q.level).trim();
+  if (q.courseCode) query.courseCode = String(q.courseCode).trim();
+  if (q.published !== undefined) Object.assign(query, q.published === "true" ? PUBLISHED_RESULTS : { published: false });
+  return { query };
+}
+
+// Loads the scales results were graded with: scaleOf(r), the default when unset
+async function resultScaleLookup(results) {
+  const ids = [...new Set(results.filter(r => r.gradingScale).map(r => String(r.gradingScale)))];
+  const scales = new Map((await GradingScale.find({ _id: { $in: ids } }).lean()).map(s => [String(s._id), s]));
+  return r => scales.get(String(r.gradingScale)) || DEFAULT_GRADING_SCALE;
+}
+
+// The band for r.grade in its scale, else the band its score falls in
+function resultBand(scale, r) {
+  const band = scale.bands.find(b => b.grade === String(r.grade || "").toUpperCase());
+  if (band) return band;
+  return Number.isFinite(r.score) ? gradeWithScale(scale, r.score) : null;
+}
+
+// pass(r) reads the band r was graded into
+async function resultPassChecker(results) {
+  const scaleOf = await resultScaleLookup(results);
+  return r => {
+    const band = resultBand(scaleOf(r), r);
+    return band ? band.pass !== false : false;
+  };
+}
+
+// Mean, median and (population) standard deviation of the scores
+function scoreStats(scores) {
+  if (!scores.length) return { mean: null, median: null, stdDev: null };
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const mean = sorted.reduce((s, v) => s + v, 0) / sorted.length;
+  const variance = sorted.reduce((s, v) => s + (v - mean) ** 2, 0) / sorted.length;
+  return {
+    mean: round2(mean),
+    median: sorted.length % 2 ? sorted[mid] : round2((sorted[mid - 1] + sorted[mid]) / 2),
+    stdDev: round2(Math.sqrt(variance)),
+  };
+}
+
+// ?groupBy=course,semester (any of course, department, level, semester; default course)
+// plus the resultFilterQuery filters and ?semester=
+app.get("/api/results/analytics", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const groupBy = String(req.query.groupBy || "course").split(",").map(g => g.trim()).filter(Boolean);
+    const unknown = groupBy.filter(g => !ANALYTICS_GROUPS[g]);
+    if (unknown.length) {
+      return res.status(400).json({ success: false, message: `groupBy must be among ${Object.keys(ANALYTICS_GROUPS).join(", ")}` });
+    }
+    const semester = req.query.semester ? semesterNumber(req.query.semester) : null;
+    if (req.query.semester && !semester) return res.status(400).json({ success: false, message: "Semester must be First or Second" });
+
+    const { query, error } = await resultFilterQuery(req.query);
+    if (error) return res.status(404).json({ success: false, message: error });
+
+    const results = (await Result.find(query).collation(CASE_INSENSITIVE).lean())
+      .filter(r => !semester || semesterNumber(r.semester) === semester);
+    const passes = await resultPassChecker(results);
+
+    const groups = new Map();
+    for (const r of results) {
+      const group = Object.assign({}, ...groupBy.map(g => ANALYTICS_GROUPS[g](r)));
+      const key = Object.entries(group).filter(([k]) => k !== "courseTitle").map(([, v]) => String(v).toLowerCase()).join("|");
+      if (!groups.has(key)) groups.set(key, { key, group, count: 0, scores: [], passed: 0, grades: {} });
+      const g = groups.get(key);
+      g.count += 1;
+      if (Number.isFinite(r.score)) g.scores.push(r.score);
+      if (passes(r)) g.passed += 1;
+      const grade = (r.grade || "-").toUpperCase();
+      g.grades[grade] = (g.grades[grade] || 0) + 1;
+    }
+
+    const data = [...groups.values()].sort((a, b) => a.key.localeCompare(b.key)).map(({ group, scores, passed, grades, count }) => ({
+      ...group,
+      count,
+      passed,
+      failed: count - passed,
+      passRate: round2((passed / count) * 100),
+      failRate: round2(((count - passed) / count) * 100),
+      ...scoreStats(scores),
+      grades,
+    }));
+
+    res.json({ success: true, groupBy, total: results.length, data });
+  } catch (err) {
+    console.error("❌ Result analytics error:", err);
+    res.status(500).json({ success: false, message: "Failed to compute result analytics" });
+  }
+});
+
+// Carry-overs as they stood at the end of summary.semesters[index]
+function carryOversUpTo(summary, index) {
+  const passed = new Set();
+  const failed = new Set();
+  for (const term of summary.semesters.slice(0, index + 1)) {
+    for (const c of term.courses) {
+      const code = (c.courseCode || "").trim().toUpperCase();
+      if (c.passed) passed.add(code);
+      else failed.add(code);
+    }
+  }
+  return [...failed].filter(code => !passed.has(code)).sort();
+}
+
+// Students x courses for one department/level/session/semester, with the
+// semester GPA, CGPA at that point and outstanding carry-overs
+async function buildBroadsheet({ session, department, level, semester, published }) {
+  const { query } = await resultFilterQuery({ department, level, published });
+  query.session = session._id;
+  const results = (await Result.find(query).collation(CASE_INSENSITIVE).lean())
+    .filter(r => semesterNumber(r.semester) === semester);
+
+  const codes = [...new Set(results.map(r => (r.courseCode || "").trim().toUpperCase()))].sort();
+  const catalog = await findCatalogCourses(codes);
+  const courses = codes.map(code => ({ code, title: catalog.get(code)?.title || "", unit: catalog.get(code)?.unit ?? null }));
+
+  const byStudent = new Map();
+  for (const r of results) {
+    const matric = (r.matricNo || "").trim().toUpperCase();
+    if (!byStudent.has(matric)) byStudent.set(matric, { matricNo: r.matricNo.trim(), fullname: r.fullname || "", scores: {} });
+    byStudent.get(matric).scores[(r.courseCode || "").trim().toUpperCase()] = { score: r.score, grade: r.grade };
+  }
+
+  const students = [...byStudent.values()].sort((a, b) => a.matricNo.localeCompare(b.matricNo));
+  const summaries = await loadAcademicSummaries(students.map(s => s.matricNo), { publishedOnly: published === "true" });
+  const rows = [];
+  for (const student of students) {
+    const summary = summaries.get(student.matricNo);
+    const index = summary.semesters.findIndex(t =>
+      t.session === session.name && t.semester === semester && sameText(t.level, level)
+    );
+    const term = summary.semesters[index];
+    const carryOvers = index === -1 ? [] : carryOversUpTo(summary, index);
+    rows.push({
+      ...student,
+      gpa: term?.gpa ?? null,
+      cgpa: term?.cgpa ?? null,
+      carryOvers,
+      remarks: carryOvers.length ? `Carry over: ${carryOvers.join(", ")}` : "Passed",
+    });
+  }
+  return { courses, rows };
+}
 
-// ====== Fetch Result Route (robust version) =======
-app.get("/api/results", async (req, res) => {
-  try {
-    const { matricNo, department, level, semester } = req.query;
-    const query = {};
+function broadsheetTitle({ session, department, level, semester }) {
+  return `${department.toUpperCase()} — ${level.toUpperCase()} — ${session.name} ${SEMESTER_NAMES[semester]} Semester`;
+}
 
-    // Optional filters
-    if (matricNo) query.matricNo = matricNo.trim();
-    if (department) query.department = department.trim();
-    if (level) query.level = level.trim();
-    if (semester) query.semester = semester.trim();
+function broadsheetWorkbook(sheet, meta) {
+  const { courses, rows } = sheet;
+  const fixed = ["S/N", "Matric No", "Name"];
+  const aoa = [
+    [SCHOOL_NAME],
+    [`BROADSHEET: ${broadsheetTitle(meta)}`],
+    [],
+    [...fixed, ...courses.flatMap(c => [`${c.code}${c.unit != null ? ` (${c.unit})` : ""}`, ""]), "GPA", "CGPA", "Remarks"],
+    [...fixed.map(() => ""), ...courses.flatMap(() => ["Score", "Grade"]), "", "", ""],
+    ...rows.map((r, i) => [
+      i + 1,
+      r.matricNo,
+      r.fullname,
+      ...courses.flatMap(c => [r.scores[c.code]?.score ?? "", r.scores[c.code]?.grade ?? ""]),
+      r.gpa ?? "",
+      r.cgpa ?? "",
+      r.remarks,
+    ]),
+  ];
+  const ws = xlsx.utils.aoa_to_sheet(aoa);
+  const lastCol = fixed.length + courses.length * 2 + 2;
+  ws["!merges"] = [
+    { s: { r: 0, c: 0 }, e: { r: 0, c: lastCol } },
+    { s: { r: 1, c: 0 }, e: { r: 1, c: lastCol } },
+    ...courses.map((c, i) => ({ s: { r: 3, c: fixed.length + i * 2 }, e: { r: 3, c: fixed.length + i * 2 + 1 } })),
+    ...[...fixed.keys(), lastCol - 2, lastCol - 1, lastCol].map(c => ({ s: { r: 3, c }, e: { r: 4, c } })),
+  ];
+  ws["!cols"] = [{ wch: 5 }, { wch: 16 }, { wch: 28 }, ...courses.flatMap(() => [{ wch: 7 }, { wch: 6 }]), { wch: 6 }, { wch: 6 }, { wch: 40 }];
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, ws, "Broadsheet");
+  return xlsx.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
 
-    const results = await Result.find(query).sort({ uploadedAt: -1 });
-    res.json({ results });
-  } catch (err) {
-    res.status(500).json({
-      message: "Error fetching results",
-      error: err.message,
+// Landscape; A3 once the course columns no longer fit on A4
+function writeBroadsheetPdf(doc, sheet, meta) {
+  const { courses, rows } = sheet;
+  const { left } = doc.page.margins;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const fixed = [
+    { label: "S/N", width: 24 },
+    { label: "Matric No", width: 78 },
+    { label: "Name", width: 120 },
+  ];
+  const tail = [
+    { label: "GPA", width: 32 },
+    { label: "CGPA", width: 32 },
+    { label: "Remarks", width: 130 },
+  ];
+  const courseWidth = (width - [...fixed, ...tail].reduce((s, c) => s + c.width, 0)) / Math.max(courses.length, 1);
+  const columns = [...fixed, ...courses.map(c => ({ label: `${c.code}${c.unit != null ? ` (${c.unit})` : ""}`, width: courseWidth, align: "center" })), ...tail];
+
+  const row = (cells, bold) => {
+    if (doc.y + 16 > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      header();
+    }
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(7);
+    columns.forEach((col, i) => {
+      doc.text(String(cells[i] ?? ""), x + 2, y + 3, { width: col.width - 4, height: 9, align: col.align || "left", ellipsis: true });
+      x += col.width;
     });
+    doc.rect(left, y, width, 14).strokeColor("#ccc").stroke();
+    doc.x = left;
+    doc.y = y + 14;
+  };
+  const header = () => {
+    doc.y = doc.page.margins.top;
+    row(columns.map(c => c.label), true);
+  };
+
+  if (fs.existsSync(LOGO_PATH)) doc.image(LOGO_PATH, left, 30, { fit: [44, 44] });
+  doc.font("Helvetica-Bold").fontSize(13).text(SCHOOL_NAME, left, 34, { width, align: "center" });
+  doc.fontSize(10).text(`BROADSHEET: ${broadsheetTitle(meta)}`, { width, align: "center" });
+  doc.y = 84;
+  row(columns.map(c => c.label), true);
+  rows.forEach((r, i) => row([
+    i + 1,
+    r.matricNo,
+    r.fullname,
+    ...courses.map(c => (r.scores[c.code] ? `${r.scores[c.code].score ?? ""} ${r.scores[c.code].grade ?? ""}` : "")),
+    r.gpa?.toFixed(2) ?? "",
+    r.cgpa?.toFixed(2) ?? "",
+    r.remarks,
+  ]));
+  if (!rows.length) doc.font("Helvetica").fontSize(10).text("No results match this broadsheet.", left, doc.y + 8);
+}
+
+// ?session=&department=&level=&semester=&format=xlsx|pdf (&published=true for published results only)
+app.get("/api/results/broadsheet", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const { department, level } = req.query;
+    const semester = semesterNumber(req.query.semester);
+    if (!department || !level || !semester) {
+      return res.status(400).json({ success: false, message: "department, level and semester are required" });
+    }
+    const format = String(req.query.format || "xlsx").toLowerCase();
+    if (!["xlsx", "pdf"].includes(format)) return res.status(400).json({ success: false, message: "format must be xlsx or pdf" });
+    const session = await resolveSession(req.query.session);
+    if (!session) return res.status(404).json({ success: false, message: "Academic session not found" });
+
+    const meta = { session, department: String(department).trim(), level: String(level).trim(), semester };
+    const sheet = await buildBroadsheet({ ...meta, published: req.query.published });
+    const filename = `broadsheet_${meta.department}_${meta.level}_${session.name}_${semester}`.replace(/[^\w-]+/g, "_");
+
+    if (format === "pdf") {
+      const size = sheet.courses.length > 8 ? "A3" : "A4";
+      const pdf = await renderPdf(doc => writeBroadsheetPdf(doc, sheet, meta), { size, layout: "landscape", margin: 30 });
+      return sendPdf(res, pdf, `${filename}.pdf`);
+    }
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`);
+    res.send(broadsheetWorkbook(sheet, meta));
+  } catch (err) {
+    console.error("❌ Broadsheet error:", err);
+    res.status(500).json({ success: false, message: "Failed to generate broadsheet" });
   }
 });
 
-
 // ===== Upload Olevel Route ========
 
 // 🔹 Upload O’Level(s)
-app.post("/api/olevel/upload", upload.array("files"), async (req, res) => {
+app.post("/api/olevel/upload", requireRole("Super Admin"), upload.array("files"), async (req, res) => {
   try {
     const { matricNumber, olevelData } = req.body;
 
@@ -1203,7 +3973,7 @@ app.post("/api/olevel/upload", upload.array("files"), async (req, res) => {
 });
 
 // 🔹 Fetch all O'Level records
-app.get("/api/olevel", async (req, res) => {
+app.get("/api/olevel", requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
     const records = await Olevel.find().sort({ uploadedAt: -1 });
     res.json({ success: true, records });
@@ -1214,7 +3984,7 @@ app.get("/api/olevel", async (req, res) => {
 });
 
 // 🔸 Search O’Level by Matric or Name (if linked later)
-app.get("/api/olevel/search", async (req, res) => {
+app.get("/api/olevel/search", requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
     const { query } = req.query;
     if (!query) return res.json({ success: true, data: [] });
@@ -1229,7 +3999,7 @@ app.get("/api/olevel/search", async (req, res) => {
 });
 
 // ✅ Fetch all O’Level records by matric number
-app.get("/api/olevel/:matricNumber", async (req, res) => {
+app.get("/api/olevel/:matricNumber", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), ownMatricNo(req => req.params.matricNumber), async (req, res) => {
   try {
     const { matricNumber } = req.params;
 
@@ -1257,7 +4027,81 @@ app.get("/api/olevel/:matricNumber", async (req, res) => {
 
 // ================== ACCESS PIN ROUTES ==================
 // === Generate course registration pins ===
-app.post("/api/course-pins/generate", async (req, res) => {
+// PIN format: {PREFIX} is the course code prefix, # a random digit and * a
+// random character from PIN_ALPHABET (no 0/O or 1/I look-alikes)
+const PIN_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const DEFAULT_PIN_FORMAT = process.env.PIN_FORMAT || "REG/{PREFIX}/****-****";
+const MIN_PIN_ENTROPY_BITS = 32;
+const MAX_PINS_PER_BATCH = 5000;
+const PIN_GENERATION_ATTEMPTS = 5;
+
+function pinFormatEntropy(format) {
+  const body = format.split("{PREFIX}").join("");
+  const digits = (body.match(/#/g) || []).length;
+  const chars = (body.match(/\*/g) || []).length;
+  return digits * Math.log2(10) + chars * Math.log2(PIN_ALPHABET.length);
+}
+
+function randomPin(format, prefix) {
+  return format
+    .split("{PREFIX}")
+    .map(part => part.replace(/[#*]/g, ch =>
+      ch === "#" ? String(crypto.randomInt(10)) : PIN_ALPHABET[crypto.randomInt(PIN_ALPHABET.length)]
+    ))
+    .join(prefix);
+}
+
+// Inserts batch.count pins for the batch, drawing fresh PINs for any that
+// collide with existing ones (including pins inserted concurrently).
+async function insertBatchPins(batch) {
+  const prefix = batch.courseCode.split(" ")[0].toUpperCase();
+  const serialOf = i => `B${String(batch.number).padStart(4, "0")}-${String(i + 1).padStart(4, "0")}`;
+  let pending = Array.from({ length: batch.count }, (_, i) => serialOf(i));
+
+  for (let attempt = 0; attempt < PIN_GENERATION_ATTEMPTS && pending.length; attempt++) {
+    const candidates = new Map(); // pin -> serial
+    for (const serial of pending) {
+      let pin;
+      do pin = randomPin(batch.format, prefix); while (candidates.has(pin));
+      candidates.set(pin, serial);
+    }
+
+    const taken = new Set(
+      (await CoursePin.find({ pin: { $in: [...candidates.keys()] } }, { pin: 1 }).lean()).map(p => p.pin)
+    );
+    const docs = [...candidates]
+      .filter(([pin]) => !taken.has(pin))
+      .map(([pin, serial]) => ({
+        courseCode: batch.courseCode,
+        courseTitle: batch.courseTitle,
+        pin,
+        batch: batch._id,
+        serial,
+        expiresAt: batch.expiresAt,
+      }));
+
+    try {
+      await CoursePin.insertMany(docs, { ordered: false });
+    } catch (err) {
+      // Another batch claimed some of these pins between the check and the insert
+      if (err.code !== 11000 && !err.writeErrors) throw err;
+    }
+
+    const inserted = new Set((await CoursePin.find({ batch: batch._id }, { serial: 1 }).lean()).map(p => p.serial));
+    pending = pending.filter(serial => !inserted.has(serial));
+  }
+
+  if (pending.length) {
+    throw new Error(`Could not generate ${pending.length} unique pin(s); use a longer PIN format`);
+  }
+}
+
+async function nextPinBatchNumber() {
+  const last = await PinBatch.findOne().sort({ number: -1 }).select("number").lean();
+  return (last?.number || 0) + 1;
+}
+
+app.post("/api/course-pins/generate", requireRole("Super Admin"), async (req, res) => {
   try {
     const { courseCode, courseTitle, amount } = req.body;
     if (!courseCode || !courseTitle) {
@@ -1265,22 +4109,60 @@ app.post("/api/course-pins/generate", async (req, res) => {
     }
 
     const count = parseInt(amount) || 1;
-    const pins = [];
+    if (count < 1 || count > MAX_PINS_PER_BATCH) {
+      return res.status(400).json({ success: false, message: `Between 1 and ${MAX_PINS_PER_BATCH} pins can be generated at once` });
+    }
+
+    const format = String(req.body.format || DEFAULT_PIN_FORMAT).trim();
+    if (pinFormatEntropy(format) < MIN_PIN_ENTROPY_BITS) {
+      return res.status(400).json({
+        success: false,
+        message: `PIN format "${format}" is too easy to guess; use more # or * placeholders`
+      });
+    }
 
-    for (let i = 0; i < count; i++) {
-      const random = Math.floor(1000 + Math.random() * 9000);
-      const prefix = courseCode.split(" ")[0].toUpperCase();
-      const pinCode = `REG/${prefix}/${random}`;
-      pins.push({ courseCode, courseTitle, pin: pinCode });
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+    if (expiresAt && (isNaN(expiresAt) || expiresAt <= new Date())) {
+      return res.status(400).json({ success: false, message: "expiresAt must be a future date" });
+    }
+    const price = req.body.price === undefined || req.body.price === "" ? undefined : Number(req.body.price);
+    if (price !== undefined && (!Number.isFinite(price) || price < 0)) {
+      return res.status(400).json({ success: false, message: "price must be a positive number" });
+    }
+
+    // Batch numbers are unique; retry if another admin took ours
+    let batch;
+    for (let attempt = 0; !batch; attempt++) {
+      const number = await nextPinBatchNumber();
+      const name = String(req.body.batchName || "").trim() || `${courseCode.split(" ")[0].toUpperCase()}-B${String(number).padStart(4, "0")}`;
+      try {
+        batch = await PinBatch.create({
+          name, number, courseCode, courseTitle, count, format, price, expiresAt,
+          createdBy: req.auth.email,
+        });
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= 2) throw err;
+        if (err.keyPattern?.name) {
+          return res.status(400).json({ success: false, message: `A batch named "${name}" already exists` });
+        }
+      }
     }
 
-    await CoursePin.insertMany(pins);
+    try {
+      await insertBatchPins(batch);
+    } catch (err) {
+      await CoursePin.deleteMany({ batch: batch._id });
+      await PinBatch.deleteOne({ _id: batch._id });
+      throw err;
+    }
 
+    const pins = await CoursePin.find({ batch: batch._id }).sort({ serial: 1 }).lean();
     const generatedPins = pins.map((p) => p.pin);
 
     res.json({
       success: true,
-      message: `${count} pin(s) generated successfully.`,
+      message: `${count} pin(s) generated successfully in batch ${batch.name}.`,
+      batch,
       generatedPins, // frontend uses this
     });
   } catch (err) {
@@ -1289,102 +4171,773 @@ app.post("/api/course-pins/generate", async (req, res) => {
   }
 });
 
-// === Fetch all pins (with search/filter) ===
-app.get("/api/course-pins", async (req, res) => {
+// === Pin batches ===
+app.get("/api/course-pins/batches", requireRole("Super Admin"), async (req, res) => {
   try {
-    const { courseCode, used } = req.query;
     const query = {};
+    if (req.query.courseCode) query.courseCode = req.query.courseCode;
+    if (req.query.status) query.status = req.query.status;
+
+    const batches = await PinBatch.find(query).sort({ number: -1 }).lean();
+    const usage = await CoursePin.aggregate([
+      { $match: { batch: { $in: batches.map(b => b._id) } } },
+      { $group: { _id: "$batch", total: { $sum: 1 }, used: { $sum: { $cond: ["$used", 1, 0] } } } },
+    ]);
+    const usageById = new Map(usage.map(u => [String(u._id), u]));
+
+    const now = new Date();
+    const data = batches.map(b => {
+      const u = usageById.get(String(b._id)) || { total: 0, used: 0 };
+      return { ...b, total: u.total, used: u.used, unused: u.total - u.used, expired: !!b.expiresAt && b.expiresAt <= now };
+    });
+    res.json({ success: true, data });
+  } catch (err) {
+    console.error("Error listing pin batches:", err);
+    res.status(500).json({ success: false, message: "Error listing pin batches" });
+  }
+});
 
-    if (courseCode) {
-      query.courseCode = { $regex: new RegExp(courseCode, "i") };
-    }
+app.get("/api/course-pins/batches/:id", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const batch = await PinBatch.findById(req.params.id).lean();
+    if (!batch) return res.status(404).json({ success: false, message: "Batch not found" });
+
+    const pins = await CoursePin.find({ batch: batch._id }).sort({ serial: 1 }).lean();
+    res.json({ success: true, data: { ...batch, pins } });
+  } catch (err) {
+    console.error("Error fetching pin batch:", err);
+    res.status(500).json({ success: false, message: "Error fetching pin batch" });
+  }
+});
+
+// Voids every unused pin in the batch; pins already redeemed stay as they are
+app.post("/api/course-pins/batches/:id/void", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const batch = await PinBatch.findOneAndUpdate(
+      { _id: req.params.id, status: "active" },
+      { $set: { status: "void", voidedAt: new Date(), voidedBy: req.auth.email, voidReason: req.body.reason || "" } },
+      { new: true }
+    );
+    if (!batch) return res.status(404).json({ success: false, message: "Active batch not found" });
+
+    const result = await CoursePin.updateMany({ batch: batch._id, used: false }, { $set: { voided: true } });
+    res.json({ success: true, message: `Batch ${batch.name} voided (${result.modifiedCount} unused pin(s))`, data: batch });
+  } catch (err) {
+    console.error("Error voiding pin batch:", err);
+    res.status(500).json({ success: false, message: "Error voiding pin batch" });
+  }
+});
+
+// Filters shared by the pin log and its exports: { query } or { error } ready to send as a 400
+function pinQuery({ courseCode, used, batch }) {
+  const query = {};
+
+  if (batch) {
+    if (!mongoose.isValidObjectId(batch)) return { error: "Invalid batch id" };
+    query.batch = String(batch);
+  }
+  if (courseCode) {
+    query.courseCode = { $regex: new RegExp(escapeRegex(courseCode), "i") };
+  }
+
+  if (used === "true") query.used = true;
+  if (used === "false") query.used = false;
+  return { query };
+}
+
+// Rows shared by the pin exports; expects pins with `batch` populated
+function pinExportRows(pins) {
+  return pins.map(p => ({
+    Serial: p.serial || "",
+    Pin: p.pin,
+    "Course Code": p.courseCode,
+    "Course Title": p.courseTitle,
+    Batch: p.batch?.name || "",
+    Price: p.batch?.price ?? "",
+    "Expires At": p.expiresAt ? new Date(p.expiresAt).toISOString().slice(0, 10) : "",
+    Status: p.voided ? "Void" : p.used ? "Used" : "Unused",
+    "Used By": p.usedBy || "",
+  }));
+}
+
+const LOGO_PATH = path.join(__dirname, "upload", "logo.jpg");
+const DEFAULT_CARDS_PER_PAGE = 10;
+const MAX_CARDS_PER_PAGE = 30;
+
+// Scratch-card sheet: an A4 grid of cut-out cards, one pin per card
+function writePinCards(doc, pins, cardsPerPage) {
+  const logo = fs.existsSync(LOGO_PATH) ? LOGO_PATH : null; // by path so pdfkit embeds it once
+  const columns = cardsPerPage >= 18 ? 3 : cardsPerPage >= 4 ? 2 : 1;
+  const rows = Math.ceil(cardsPerPage / columns);
+  const gap = 8;
+  const { left, top } = doc.page.margins;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const height = doc.page.height - top - doc.page.margins.bottom;
+  const cardW = (width - gap * (columns - 1)) / columns;
+  const cardH = (height - gap * (rows - 1)) / rows;
+  const scale = Math.min(1, cardH / 150);
+
+  pins.forEach((p, i) => {
+    const slot = i % cardsPerPage;
+    if (i > 0 && slot === 0) doc.addPage();
+
+    const x = left + (slot % columns) * (cardW + gap);
+    const y = top + Math.floor(slot / columns) * (cardH + gap);
+    const pad = 8 * scale;
+
+    doc.save().lineWidth(0.75).dash(3, { space: 3 }).strokeColor("#999")
+      .roundedRect(x, y, cardW, cardH, 6).stroke().restore();
+
+    const logoSize = 32 * scale;
+    if (logo) doc.image(logo, x + pad, y + pad, { fit: [logoSize, logoSize] });
+
+    const textX = x + pad + (logo ? logoSize + pad : 0);
+    const textW = cardW - (textX - x) - pad;
+    doc.fillColor("#000").font("Helvetica-Bold").fontSize(9 * scale)
+      .text("COURSE REGISTRATION PIN", textX, y + pad, { width: textW });
+    doc.font("Helvetica").fontSize(8 * scale)
+      .text(`${p.courseCode} – ${p.courseTitle}`, textX, doc.y + 1, { width: textW, height: 20 * scale, ellipsis: true });
+
+    const pinY = y + pad + Math.max(logoSize, 30 * scale) + 6 * scale;
+    const pinH = 26 * scale;
+    doc.save().fillColor("#eee").rect(x + pad, pinY, cardW - pad * 2, pinH).fill().restore();
+    doc.font("Courier-Bold").fontSize(13 * scale)
+      .text(p.pin, x + pad, pinY + (pinH - 13 * scale) / 2, { width: cardW - pad * 2, align: "center" });
+
+    const footer = [
+      `S/N: ${p.serial || String(p._id).slice(-8)}`,
+      p.batch?.price != null ? `Price: NGN ${Number(p.batch.price).toLocaleString()}` : null,
+      p.expiresAt ? `Expires: ${new Date(p.expiresAt).toLocaleDateString()}` : null,
+    ].filter(Boolean).join("   ");
+    doc.font("Helvetica").fontSize(7 * scale)
+      .text(footer, x + pad, pinY + pinH + 4 * scale, { width: cardW - pad * 2 });
+  });
+}
+
+// Sends pins as ?format=csv|xlsx|pdf (pdf takes ?perPage=)
+function sendPinExport(req, res, pins, basename) {
+  const format = String(req.query.format || "csv").toLowerCase();
+  const filename = `pins_${basename.replace(/[^\w-]+/g, "_")}`;
+
+  if (format === "pdf") {
+    const perPage = Math.min(Math.max(parseInt(req.query.perPage) || DEFAULT_CARDS_PER_PAGE, 1), MAX_CARDS_PER_PAGE);
+    const doc = new PDFDocument({ margin: 24, size: "A4" });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+    doc.pipe(res);
+    if (pins.length) writePinCards(doc, pins, perPage);
+    else doc.fontSize(12).text("No pins match this export.");
+    doc.end();
+    return;
+  }
 
-    if (used === "true") query.used = true;
-    if (used === "false") query.used = false;
+  const sheet = xlsx.utils.json_to_sheet(pinExportRows(pins));
+  if (format === "xlsx") {
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, sheet, "Pins");
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`);
+    return res.send(xlsx.write(workbook, { type: "buffer", bookType: "xlsx" }));
+  }
+  if (format !== "csv") {
+    return res.status(400).json({ success: false, message: "format must be csv, xlsx or pdf" });
+  }
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+  res.send(xlsx.utils.sheet_to_csv(sheet));
+}
+
+// Export a batch: ?format=csv|xlsx|pdf&perPage=
+app.get("/api/course-pins/batches/:id/export", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const batch = await PinBatch.findById(req.params.id).lean();
+    if (!batch) return res.status(404).json({ success: false, message: "Batch not found" });
+
+    const pins = await CoursePin.find({ batch: batch._id }).sort({ serial: 1 }).populate("batch", "name price").lean();
+    sendPinExport(req, res, pins, batch.name);
+  } catch (err) {
+    console.error("Error exporting pin batch:", err);
+    res.status(500).json({ success: false, message: "Error exporting pin batch" });
+  }
+});
+
+// Export the pin log with the same filters as GET /api/course-pins
+app.get("/api/course-pins/export", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const { query, error } = pinQuery(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const pins = await CoursePin.find(query)
+      .sort({ courseCode: 1, serial: 1, createdAt: 1 })
+      .populate("batch", "name price")
+      .lean();
+    sendPinExport(req, res, pins, new Date().toISOString().slice(0, 10));
+  } catch (err) {
+    console.error("Error exporting course pins:", err);
+    res.status(500).json({ success: false, message: "Error exporting course pins" });
+  }
+});
+
+// === Fetch all pins (with search/filter) ===
+app.get("/api/course-pins", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const { query, error } = pinQuery(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
 
     const pins = await CoursePin.find(query).sort({ createdAt: -1 });
     res.json({ success: true, data: pins });
   } catch (err) {
-    console.error("Error fetching course pins:", err);
-    res.status(500).json({ success: false, message: "Error fetching course pins" });
+    console.error("Error fetching course pins:", err);
+    res.status(500).json({ success: false, message: "Error fetching course pins" });
+  }
+});
+
+// === Mark pin as used ===
+// Only for reconciling a pin with the registration it was spent on; pins are
+// otherwise consumed by /api/course-register itself.
+app.post("/api/course-pins/use", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const { pin } = req.body;
+    if (!pin) return res.status(400).json({ success: false, message: "Pin required" });
+
+    const record = await CoursePin.findOne({ pin });
+    if (!record) return res.status(404).json({ success: false, message: "Pin not found" });
+    if (record.used) return res.json({ success: false, message: "Pin already marked as used" });
+
+    const registration = await CourseRegistration.findOne({ pinUsed: pin, courseCode: record.courseCode }).sort({ registeredAt: 1 });
+    if (!registration) {
+      return res.status(409).json({ success: false, message: "No course registration uses this pin; it can only be redeemed by registering" });
+    }
+
+    await CoursePin.updateOne(
+      { _id: record._id, used: false },
+      { $set: { used: true, usedBy: registration.matricNumber, usedAt: registration.registeredAt, registration: registration._id } }
+    );
+
+    res.json({ success: true, message: `Pin marked as used by ${registration.matricNumber}.` });
+  } catch (err) {
+    console.error("Error marking pin used:", err);
+    res.status(500).json({ success: false, message: "Server error marking pin used" });
+  }
+});
+
+// === Delete all course pins ===
+// Delete single pin (archived, see BULK DELETE & ARCHIVE)
+app.delete("/api/course-pins/:id", requireRole("Super Admin"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ success: false, message: "Pin not found" });
+    await archiveAndDelete({ kind: "course-pins", query: { _id: req.params.id }, deletedBy: req.auth.email });
+    res.json({ success: true, message: "Pin deleted successfully" });
+  } catch {
+    res.status(500).json({ success: false, message: "Error deleting pin" });
+  }
+});
+
+
+// ================== PIN REDEMPTION ==================
+function transactionsUnsupported(err) {
+  return err?.code === 20 || /Transaction numbers are only allowed/i.test(err?.message || "");
+}
+
+// Spends `pin` on the registration and inserts the registration as one unit:
+// the pin flips used:false -> used:true in a single conditional update, inside a
+// transaction where the deployment supports one. Resolves the saved registration,
+// or null when the pin is invalid or already spent. Duplicate registrations
+// reject with the unique-index error (code 11000) and leave the pin unspent.
+async function registerWithPin(registration, pin) {
+  const redeem = (options = {}) => CoursePin.findOneAndUpdate(
+    {
+      pin,
+      courseCode: registration.courseCode,
+      used: false,
+      voided: { $ne: true },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    },
+    { $set: { used: true, usedBy: registration.matricNumber, usedAt: new Date() } },
+    { new: true, ...options }
+  );
+
+  const dbSession = await mongoose.startSession();
+  try {
+    let saved = null;
+    await dbSession.withTransaction(async () => {
+      saved = null;
+      const redeemed = await redeem({ session: dbSession });
+      if (!redeemed) return;
+      [saved] = await CourseRegistration.create([registration], { session: dbSession });
+      await CoursePin.updateOne({ _id: redeemed._id }, { $set: { registration: saved._id } }, { session: dbSession });
+    });
+    return saved;
+  } catch (err) {
+    if (!transactionsUnsupported(err)) throw err;
+  } finally {
+    await dbSession.endSession();
+  }
+
+  // Standalone server: the conditional update still stops double spending,
+  // and the pin is handed back if the insert fails.
+  const redeemed = await redeem();
+  if (!redeemed) return null;
+  try {
+    const saved = await CourseRegistration.create(registration);
+    await CoursePin.updateOne({ _id: redeemed._id }, { $set: { registration: saved._id } });
+    return saved;
+  } catch (err) {
+    await CoursePin.updateOne(
+      { _id: redeemed._id, usedBy: registration.matricNumber, registration: { $exists: false } },
+      { $set: { used: false }, $unset: { usedBy: "", usedAt: "" } }
+    );
+    throw err;
+  }
+}
+
+// ================== UNIT LIMITS & PREREQUISITES ==================
+// Grade points a minGrade stands for in a scale; letters the scale lacks are
+// read from the default scale, and unknown letters only require a pass
+function minGradePoints(scale, grade) {
+  const letter = String(grade || "").trim().toUpperCase();
+  const band = scale.bands.find(b => b.grade === letter) || DEFAULT_GRADE_BANDS.find(b => b.grade === letter);
+  return band?.points ?? 0;
+}
+
+async function unitLimitFor({ level, semester, department }) {
+  const limits = await UnitLimit.find({ level, semester, department: { $in: [department || "", ""] } })
+    .collation(CASE_INSENSITIVE)
+    .lean();
+  return limits.find(l => l.department) || limits[0] || null;
+}
+
+// Catalogue entries by upper-cased code for the given codes
+async function findCatalogCourses(codes) {
+  const wanted = codes.map(c => String(c).trim().toUpperCase());
+  const docs = await CourseCollection.find({ "courses.code": { $in: wanted } }).collation(CASE_INSENSITIVE).lean();
+  const byCode = new Map();
+  for (const doc of docs) {
+    for (const c of doc.courses) {
+      const code = c.code.trim().toUpperCase();
+      if (wanted.includes(code) && !byCode.has(code)) byCode.set(code, { ...c, semester: doc.semester });
+    }
+  }
+  return byCode;
+}
+
+// Checks adding `courseCodes` to the student's registrations for session + semester.
+// Resolves { violations, warnings, totalUnits, limit }; violations block registration.
+async function validateCourseSelection({ student, session, semester, courseCodes }) {
+  const violations = [];
+  const warnings = [];
+  const newCodes = [...new Set(courseCodes.map(c => String(c).trim().toUpperCase()))];
+
+  const regQuery = { matricNumber: student.matricNo, semester };
+  if (session) regQuery.session = session._id;
+  const existing = (await CourseRegistration.find(regQuery).lean())
+    .filter(r => !newCodes.includes(r.courseCode.trim().toUpperCase()));
+
+  const catalog = await findCatalogCourses([...newCodes, ...existing.map(r => r.courseCode)]);
+
+  for (const code of newCodes) {
+    if (!catalog.has(code)) violations.push({ type: "unknown-course", course: code, message: `${code} is not in the course catalogue` });
+  }
+
+  // Credit units
+  const unitOf = (code, stored) => stored ?? catalog.get(code.trim().toUpperCase())?.unit ?? 0;
+  const existingUnits = existing.reduce((sum, r) => sum + unitOf(r.courseCode, r.unit), 0);
+  const newUnits = newCodes.reduce((sum, code) => sum + unitOf(code), 0);
+  const totalUnits = existingUnits + newUnits;
+
+  const limit = await unitLimitFor({ level: student.level, semester, department: student.department });
+  if (limit && totalUnits > limit.maxUnits) {
+    violations.push({
+      type: "max-units",
+      limit: limit.maxUnits,
+      total: totalUnits,
+      message: `Registering would bring semester ${semester} to ${totalUnits} units; the maximum is ${limit.maxUnits}`,
+    });
+  }
+  if (limit && totalUnits < limit.minUnits) {
+    warnings.push({
+      type: "min-units",
+      limit: limit.minUnits,
+      total: totalUnits,
+      message: `Semester ${semester} has ${totalUnits} units; at least ${limit.minUnits} are required`,
+    });
+  }
+
+  // Prerequisites, judged by the scale each attempt was graded with: a passing
+  // attempt meets a plain prerequisite, minGrade also needs that grade's points
+  const prereqCodes = [...new Set(newCodes.flatMap(code => (catalog.get(code)?.prerequisites || []).map(p => p.code)))];
+  const attempts = new Map(); // code -> [{ grade, points, pass, scale }]
+  if (prereqCodes.length) {
+    const results = await Result.find({ matricNo: student.matricNo, courseCode: { $in: prereqCodes }, ...PUBLISHED_RESULTS })
+      .collation(CASE_INSENSITIVE)
+      .lean();
+    const scaleOf = await resultScaleLookup(results);
+    for (const r of results) {
+      const code = r.courseCode.trim().toUpperCase();
+      const scale = scaleOf(r);
+      const band = resultBand(scale, r);
+      if (!attempts.has(code)) attempts.set(code, []);
+      attempts.get(code).push({ grade: r.grade, points: r.gradePoint ?? band?.points ?? 0, pass: band ? band.pass !== false : false, scale });
+    }
+  }
+
+  for (const code of newCodes) {
+    for (const prereq of catalog.get(code)?.prerequisites || []) {
+      const tries = attempts.get(prereq.code) || [];
+      const required = prereq.minGrade || "";
+      const met = tries.some(a => a.pass && (!required || a.points >= minGradePoints(a.scale, required)));
+      const grade = [...tries].sort((a, b) => b.points - a.points)[0]?.grade;
+      if (!met) {
+        violations.push({
+          type: "prerequisite",
+          course: code,
+          requires: prereq.code,
+          minGrade: required || null,
+          found: grade || null,
+          message: grade
+            ? `${code} requires ${prereq.code}${required ? ` with grade ${required} or better` : " passed"} (you have ${grade})`
+            : `${code} requires ${prereq.code}, which you have not passed`,
+        });
+      }
+    }
+  }
+
+  return { violations, warnings, totalUnits, limit };
+}
+
+// Dry-run a set of courses: { matricNumber, semester, courseCodes: [...] }
+app.post("/api/course-register/validate", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), ownMatricNo(req => req.body.matricNumber), async (req, res) => {
+  try {
+    const { matricNumber, courseCodes } = req.body;
+    const semester = semesterNumber(req.body.semester);
+    if (!matricNumber || !semester || !Array.isArray(courseCodes)) {
+      return res.status(400).json({ success: false, message: "matricNumber, semester and courseCodes are required" });
+    }
+
+    const student = await findStudentRecordByMatric(matricNumber);
+    if (!student) return res.status(404).json({ success: false, message: "Student not found" });
+
+    const session = await resolveSession(req.body.session);
+    const result = await validateCourseSelection({ student, session, semester, courseCodes });
+    res.json({ success: true, valid: result.violations.length === 0, ...result });
+  } catch (err) {
+    console.error("❌ Validate registration error:", err);
+    res.status(500).json({ success: false, message: "Failed to validate registration" });
+  }
+});
+
+// Unit limits CRUD
+app.get("/api/unit-limits", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const limits = await UnitLimit.find().sort({ level: 1, semester: 1, department: 1 }).lean();
+    res.json({ success: true, data: limits });
+  } catch (err) {
+    console.error("❌ List unit limits error:", err);
+    res.status(500).json({ success: false, message: "Failed to load unit limits" });
+  }
+});
+
+// Create or replace the limit for { level, semester, department? }
+app.put("/api/unit-limits", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const level = String(req.body.level || "").trim();
+    const department = String(req.body.department || "").trim();
+    const semester = semesterNumber(req.body.semester);
+    const minUnits = Number(req.body.minUnits);
+    const maxUnits = Number(req.body.maxUnits);
+
+    if (!level || !semester) {
+      return res.status(400).json({ success: false, message: "level and semester are required" });
+    }
+    if (!Number.isFinite(minUnits) || !Number.isFinite(maxUnits) || minUnits < 0 || maxUnits < Math.max(1, minUnits)) {
+      return res.status(400).json({ success: false, message: "minUnits/maxUnits must be numbers with minUnits <= maxUnits" });
+    }
+
+    const limit = await UnitLimit.findOneAndUpdate(
+      { level, semester, department },
+      { level, semester, department, minUnits, maxUnits },
+      { new: true, upsert: true, collation: CASE_INSENSITIVE }
+    );
+    res.json({ success: true, message: "Unit limit saved", data: limit });
+  } catch (err) {
+    console.error("❌ Save unit limit error:", err);
+    res.status(500).json({ success: false, message: "Failed to save unit limit", error: err.message });
+  }
+});
+
+app.delete("/api/unit-limits/:id", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
+  try {
+    const deleted = await UnitLimit.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, message: "Unit limit not found" });
+    res.json({ success: true, message: "Unit limit deleted" });
+  } catch (err) {
+    console.error("❌ Delete unit limit error:", err);
+    res.status(500).json({ success: false, message: "Failed to delete unit limit" });
+  }
+});
+
+// ================== REGISTRATION WINDOW ROUTES ==================
+function formatDateTime(date) {
+  return new Date(date).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" });
+}
+
+// Whether course registration is possible at `at`: { status, reason, window }
+// status: "open" | "late" | "not-started" | "closed" | "unscheduled" | "no-session"
+async function registrationWindowStatus({ session, semester, department, level, at = new Date() }) {
+  if (!session) {
+    return { status: "no-session", reason: "No current academic session is configured", window: null };
+  }
+  if (session.status !== "open") {
+    return { status: "closed", reason: `Academic session ${session.name} is not open`, window: null };
+  }
+
+  const same = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+  const specificity = (w) => (w.department ? 2 : 0) + (w.level ? 1 : 0);
+
+  const windows = await RegistrationWindow.find({ session: session._id, semester }).lean();
+  const window = windows
+    .filter(w => (!w.department || same(w.department, department)) && (!w.level || same(w.level, level)))
+    .sort((a, b) => specificity(b) - specificity(a))[0];
+
+  if (!window) {
+    return {
+      status: "unscheduled",
+      reason: `Course registration for semester ${semester} of ${session.name} has not been scheduled`,
+      window: null,
+    };
+  }
+  if (at < window.startDate) {
+    return { status: "not-started", reason: `Course registration opens on ${formatDateTime(window.startDate)}`, window };
+  }
+  if (at <= window.endDate) {
+    return { status: "open", reason: `Course registration is open until ${formatDateTime(window.endDate)}`, window };
+  }
+  if (window.lateEndDate && at <= window.lateEndDate) {
+    return { status: "late", reason: `Late registration is open until ${formatDateTime(window.lateEndDate)}`, window };
+  }
+  const closedAt = window.lateEndDate || window.endDate;
+  return { status: "closed", reason: `Course registration closed on ${formatDateTime(closedAt)}`, window };
+}
+
+// Validates a window body; resolves { values } or { error }
+async function parseRegistrationWindow(body, existing = {}) {
+  const merged = { ...existing, ...body };
+
+  const session = await resolveSession(merged.session);
+  if (!session) return { error: "Academic session not found" };
+
+  const semester = semesterNumber(merged.semester);
+  if (!semester) return { error: "Semester must be 1 or 2" };
+
+  const startDate = new Date(merged.startDate);
+  const endDate = new Date(merged.endDate);
+  const lateEndDate = merged.lateEndDate ? new Date(merged.lateEndDate) : null;
+  if (isNaN(startDate) || isNaN(endDate) || (lateEndDate && isNaN(lateEndDate))) {
+    return { error: "startDate, endDate and lateEndDate must be valid dates" };
+  }
+  if (endDate <= startDate) return { error: "endDate must be after startDate" };
+  if (lateEndDate && lateEndDate <= endDate) return { error: "lateEndDate must be after endDate" };
+
+  return {
+    values: {
+      session: session._id,
+      semester,
+      department: String(merged.department || "").trim(),
+      level: String(merged.level || "").trim(),
+      startDate,
+      endDate,
+      lateEndDate,
+      notes: merged.notes || "",
+    },
+  };
+}
+
+// List windows (?session=&semester=&department=&level=)
+app.get("/api/registration-windows", requireRole(...ADMIN_ROLES), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.session) {
+      const session = await resolveSession(req.query.session);
+      if (!session) return res.status(404).json({ success: false, message: "Academic session not found" });
+      query.session = session._id;
+    }
+    if (req.query.semester) query.semester = semesterNumber(req.query.semester);
+    if (req.query.department) query.department = req.query.department.trim();
+    if (req.query.level) query.level = req.query.level.trim();
+
+    const windows = await RegistrationWindow.find(query)
+      .populate("session", "name status")
+      .sort({ startDate: -1 })
+      .collation(CASE_INSENSITIVE)
+      .lean();
+    res.json({ success: true, data: windows });
+  } catch (err) {
+    console.error("❌ List registration windows error:", err);
+    res.status(500).json({ success: false, message: "Failed to load registration windows" });
+  }
+});
+
+// Registration status for one student (course-registration.html); ?semester= defaults to the current one
+app.get("/api/registration-windows/status/:matric", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), ownMatricNo(req => req.params.matric), async (req, res) => {
+  try {
+    const student = await findStudentRecordByMatric(req.params.matric);
+    if (!student) return res.status(404).json({ success: false, message: "Student not found" });
+
+    const session = await resolveSession(req.query.session);
+    const semester = semesterNumber(req.query.semester) || session?.currentSemester || 1;
+    const { status, reason, window } = await registrationWindowStatus({
+      session,
+      semester,
+      department: student.department,
+      level: student.level,
+    });
+
+    res.json({
+      success: true,
+      open: status === "open" || status === "late",
+      status,
+      reason,
+      semester,
+      session: session ? { _id: session._id, name: session.name } : null,
+      window: window
+        ? { startDate: window.startDate, endDate: window.endDate, lateEndDate: window.lateEndDate }
+        : null,
+    });
+  } catch (err) {
+    console.error("❌ Registration status error:", err);
+    res.status(500).json({ success: false, message: "Failed to load registration status" });
   }
 });
 
-// === Mark pin as used ===
-app.post("/api/course-pins/use", async (req, res) => {
+// Create a window
+app.post("/api/registration-windows", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
   try {
-    const { pin } = req.body;
-    if (!pin) return res.status(400).json({ success: false, message: "Pin required" });
-
-    const record = await CoursePin.findOne({ pin });
-    if (!record) return res.status(404).json({ success: false, message: "Pin not found" });
-    if (record.used) return res.json({ success: false, message: "Pin already marked as used" });
+    const { values, error } = await parseRegistrationWindow(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
 
-    record.used = true;
-    await record.save();
-
-    res.json({ success: true, message: "Pin marked as used." });
+    const window = await RegistrationWindow.create({ ...values, createdBy: req.auth.id });
+    res.status(201).json({ success: true, message: "Registration window created", data: window });
   } catch (err) {
-    console.error("Error marking pin used:", err);
-    res.status(500).json({ success: false, message: "Server error marking pin used" });
+    console.error("❌ Create registration window error:", err);
+    res.status(500).json({ success: false, message: "Failed to create registration window", error: err.message });
   }
 });
 
-// === Delete all course pins ===
-app.delete("/api/course-pins/delete-all", async (req, res) => {
+// Update a window
+app.put("/api/registration-windows/:id", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
   try {
-    console.log("🧨 Delete-all endpoint hit");
-    const result = await CoursePin.deleteMany({});
-    console.log("✅ Delete result:", result);
-    res.json({
-      success: true,
-      message: `All pins deleted successfully (${result.deletedCount} removed)`
-    });
+    const existing = await RegistrationWindow.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ success: false, message: "Registration window not found" });
+
+    const { values, error } = await parseRegistrationWindow(req.body, existing);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const window = await RegistrationWindow.findByIdAndUpdate(req.params.id, values, { new: true });
+    res.json({ success: true, message: "Registration window updated", data: window });
   } catch (err) {
-    console.error("❌ Error deleting all pins:", err);
-    res.status(500).json({
-      success: false,
-      message: "Error deleting all pins",
-      error: err.message
-    });
+    console.error("❌ Update registration window error:", err);
+    res.status(500).json({ success: false, message: "Failed to update registration window", error: err.message });
   }
 });
 
-// Delete single pin (keep this BELOW)
-app.delete("/api/course-pins/:id", async (req, res) => {
+// Delete a window
+app.delete("/api/registration-windows/:id", requireRole(...SESSION_ADMIN_ROLES), async (req, res) => {
   try {
-    await CoursePin.findByIdAndDelete(req.params.id);
-    res.json({ success: true, message: "Pin deleted successfully" });
-  } catch {
-    res.status(500).json({ success: false, message: "Error deleting pin" });
+    const deleted = await RegistrationWindow.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, message: "Registration window not found" });
+    res.json({ success: true, message: "Registration window deleted" });
+  } catch (err) {
+    console.error("❌ Delete registration window error:", err);
+    res.status(500).json({ success: false, message: "Failed to delete registration window", error: err.message });
   }
 });
 
-
 // === UNIFIED COURSE REGISTRATION FETCH (courses + registered) ===
-app.get("/api/course-registration/:matric", async (req, res) => {
+// Optional ?semester=1|2 narrows the checklist to one semester, ?session= picks another session
+app.get("/api/course-registration/:matric", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), ownMatricNo(req => req.params.matric), async (req, res) => {
   try {
     const { matric } = req.params;
+    const semester = req.query.semester ? Number(req.query.semester) : null;
 
-    // Fetch student first
-    const student = await Student.findOne({ matricNumber: matric });
-    if (!student) {
-      return res.json({ success: false, message: "Student not found" });
+    const session = await resolveSession(req.query.session);
+    if (req.query.session && !session) {
+      return res.status(404).json({ success: false, message: "Academic session not found" });
     }
 
-    const department = student.department;
-    const level = student.level;
+    // Fetch student first (resolved through StudentProfile.matricNo)
+    const student = await findStudentRecordByMatric(matric);
+    if (!student) {
+      return res.status(404).json({ success: false, message: "Student not found" });
+    }
+    if (!student.department || !student.level) {
+      return res.status(400).json({ success: false, message: "Student profile has no department or level yet" });
+    }
 
-    // Fetch courses for student’s dept + level
-    const courseDoc = await Course.findOne({ department, level });
+    // Courses for student’s dept + level (+ semester); several documents may exist per combination
+    const courseQuery = {
+      department: { $regex: `^${escapeRegex(student.department.trim())}$`, $options: "i" },
+      level: { $regex: `^${escapeRegex(student.level.trim())}$`, $options: "i" },
+    };
+    if (semester) courseQuery.semester = semester;
+    if (session) courseQuery.session = { $in: [session._id, null] };
+    const courseDocs = await CourseCollection.find(courseQuery).sort({ semester: 1, createdAt: 1 }).lean();
 
     // Fetch registration records
-    const regDocs = await CourseRegistration.find({ matricNumber: matric });
+    const regQuery = { matricNumber: student.matricNo };
+    if (semester) regQuery.semester = semester;
+    if (session) regQuery.session = session._id;
+    const regDocs = await CourseRegistration.find(regQuery).sort({ registeredAt: 1 }).lean();
+    const regByCode = new Map(regDocs.map(r => [r.courseCode.trim().toUpperCase(), r]));
+
+    const seen = new Set();
+    const courses = [];
+    for (const doc of courseDocs) {
+      for (const c of doc.courses) {
+        const code = c.code.trim().toUpperCase();
+        if (seen.has(code)) continue;
+        seen.add(code);
+
+        const reg = regByCode.get(code);
+        courses.push({
+          code: c.code.trim(),
+          title: c.title,
+          unit: c.unit,
+          lecturer: c.lecturer,
+          semester: doc.semester,
+          registered: !!reg,
+          registrationId: reg ? reg._id : null,
+          registeredAt: reg ? reg.registeredAt : null,
+        });
+      }
+    }
+
+    // Units per semester. Registrations count the units stored when they were made; older
+    // ones without a stored unit fall back to the catalogue (0 if the course is no longer offered)
+    const unitsByCode = new Map(courses.map(c => [c.code.toUpperCase(), c.unit]));
+    const semesters = {};
+    for (const c of courses) {
+      semesters[c.semester] ??= { semester: c.semester, availableUnits: 0, registeredUnits: 0, registeredCourses: 0 };
+      semesters[c.semester].availableUnits += c.unit;
+    }
+    for (const r of regDocs) {
+      semesters[r.semester] ??= { semester: r.semester, availableUnits: 0, registeredUnits: 0, registeredCourses: 0 };
+      semesters[r.semester].registeredUnits += r.unit ?? unitsByCode.get(r.courseCode.trim().toUpperCase()) ?? 0;
+      semesters[r.semester].registeredCourses += 1;
+    }
 
     res.json({
       success: true,
-      courses: courseDoc ? courseDoc.courses : [],
-      registered: regDocs
+      student: {
+        matricNo: student.matricNo,
+        fullname: student.fullname,
+        department: student.department,
+        level: student.level,
+      },
+      session: session ? { _id: session._id, name: session.name, currentSemester: session.currentSemester } : null,
+      courses,
+      registered: regDocs,
+      units: Object.values(semesters).sort((a, b) => a.semester - b.semester),
     });
 
   } catch (err) {
@@ -1394,14 +4947,21 @@ app.get("/api/course-registration/:matric", async (req, res) => {
 });
 
 // === FETCH STUDENT REGISTERED COURSES ===
-app.get("/api/registered-courses", async (req, res) => {
+app.get("/api/registered-courses", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), ownMatricNo(req => req.query.matric), async (req, res) => {
   try {
     const { matric } = req.query;
     if (!matric) {
       return res.status(400).json({ success: false, message: "Matric number required" });
     }
 
-    const regs = await CourseRegistration.find({ matricNumber: matric });
+    const query = { matricNumber: matric };
+    if (req.query.session) {
+      const session = await resolveSession(req.query.session);
+      if (!session) return res.status(404).json({ success: false, message: "Academic session not found" });
+      query.session = session._id;
+    }
+
+    const regs = await CourseRegistration.find(query);
     res.json({ success: true, data: regs });
   } catch (err) {
     console.error("❌ Error fetching registrations:", err);
@@ -1410,28 +4970,68 @@ app.get("/api/registered-courses", async (req, res) => {
 });
 
 // === REGISTER A COURSE ===
-app.post("/api/course-register", async (req, res) => {
+app.post("/api/course-register", requireRole(STUDENT_ROLE, ...ADMIN_ROLES), ownMatricNo(req => req.body.matricNumber), async (req, res) => {
   try {
-    const { matricNumber, studentName, department, level, courseCode, courseTitle, semester, pin } = req.body;
+    const { matricNumber, courseCode, courseTitle, pin } = req.body;
 
-    if (!matricNumber || !department || !level || !courseCode || !semester || !pin) {
+    if (!matricNumber || !courseCode || !req.body.semester || !pin) {
       return res.status(400).json({ success: false, message: "Missing required fields" });
     }
+    const semester = semesterNumber(req.body.semester);
+    if (!semester) {
+      return res.status(400).json({ success: false, message: "Semester must be First or Second" });
+    }
+
+    // Name, department and level come from the student record, not the request
+    const student = await findStudentRecordByMatric(matricNumber);
+    if (!student) return res.status(404).json({ success: false, message: "Student not found" });
+    const { fullname: studentName, department, level } = student;
+    if (!department || !level) {
+      return res.status(400).json({ success: false, message: "Student record has no department or level" });
+    }
+
+    const { session, error: sessionError } = await sessionForWrite(req.body.session);
+    if (sessionError) return res.status(400).json({ success: false, message: sessionError });
+
+    // Registration must fall inside the window for the student's department/level
+    const windowStatus = await registrationWindowStatus({ session, semester, department, level });
+    if (windowStatus.status === "no-session") {
+      return res.status(409).json({ success: false, message: windowStatus.reason, registrationStatus: windowStatus.status });
+    }
+    if (windowStatus.status !== "open" && windowStatus.status !== "late") {
+      return res.status(403).json({ success: false, message: windowStatus.reason, registrationStatus: windowStatus.status });
+    }
 
-    // Check if course already registered by student
-    const already = await CourseRegistration.findOne({ matricNumber, courseCode });
+    // Check if course already registered by student (in this session)
+    const already = await CourseRegistration.findOne({
+      matricNumber,
+      courseCode,
+      ...(session ? { session: session._id } : {})
+    });
     if (already) {
       return res.json({ success: false, message: "Course already registered" });
     }
 
-    // Validate pin
-    const validPin = await CoursePin.findOne({ pin, courseCode, used: false });
-    if (!validPin) {
-      return res.json({ success: false, message: "Invalid or already used pin" });
+    // Credit-unit limit and prerequisites
+    const check = await validateCourseSelection({
+      student: { matricNo: matricNumber, department, level },
+      session,
+      semester,
+      courseCodes: [courseCode],
+    });
+    if (check.violations.length) {
+      return res.status(422).json({
+        success: false,
+        message: check.violations.map(v => v.message).join("; "),
+        violations: check.violations,
+        warnings: check.warnings,
+        totalUnits: check.totalUnits
+      });
     }
 
-    // Register the course
-    const newReg = new CourseRegistration({
+    // Redeem the pin and register the course together
+    const pinCode = String(pin).trim().toUpperCase();
+    const newReg = await registerWithPin({
       matricNumber,
       studentName,
       department,
@@ -1439,17 +5039,26 @@ app.post("/api/course-register", async (req, res) => {
       courseCode,
       courseTitle,
       semester,
-      pinUsed: pin
-    });
-
-    await newReg.save();
-
-    // Mark pin as used
-    validPin.used = true;
-    await validPin.save();
+      session: session?._id,
+      unit: (await findCatalogCourses([courseCode])).get(courseCode.trim().toUpperCase())?.unit,
+      pinUsed: pinCode,
+      late: windowStatus.status === "late"
+    }, pinCode);
+    if (!newReg) {
+      return res.json({ success: false, message: "Invalid, expired or already used pin" });
+    }
 
-    res.json({ success: true, message: "Course registered successfully" });
+    res.json({
+      success: true,
+      message: windowStatus.status === "late" ? "Course registered (late registration)" : "Course registered successfully",
+      late: windowStatus.status === "late",
+      totalUnits: check.totalUnits,
+      warnings: check.warnings
+    });
   } catch (err) {
+    if (err.code === 11000) {
+      return res.json({ success: false, message: "Course already registered" });
+    }
     console.error("❌ Error registering course:", err);
     res.status(500).json({ success: false, message: "Server error registering course" });
   }
@@ -1458,9 +5067,16 @@ app.post("/api/course-register", async (req, res) => {
 // ==========================
 // ADMIN — GET ALL REGISTERED COURSES (SIMPLE VERSION)
 // ==========================
-app.get("/api/admin/all-registered-courses", async (req, res) => {
+app.get("/api/admin/all-registered-courses", requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
-    const all = await CourseRegistration.find().sort({ registeredAt: -1 }).lean();
+    const query = {};
+    if (req.query.session) {
+      const session = await resolveSession(req.query.session);
+      if (!session) return res.status(404).json({ success: false, message: "Academic session not found" });
+      query.session = session._id;
+    }
+
+    const all = await CourseRegistration.find(query).populate("session", "name").sort({ registeredAt: -1 }).lean();
 
     res.json({
       success: true,
@@ -1473,6 +5089,8 @@ app.get("/api/admin/all-registered-courses", async (req, res) => {
         courseCode: item.courseCode,
         courseTitle: item.courseTitle,
         semester: item.semester || "",
+        session: item.session?.name || "",
+        late: !!item.late,
         registeredAt: item.registeredAt
       }))
     });
@@ -1488,26 +5106,8 @@ app.get("/api/admin/all-registered-courses", async (req, res) => {
 });
 
 // DELETE all course registrations
-app.delete("/api/course-registrations", async (req, res) => {
-  try {
-    const result = await CourseRegistration.deleteMany({}); // deletes all documents
-
-    res.json({
-      success: true,
-      message: `All registrations deleted successfully (${result.deletedCount} records).`
-    });
-  } catch (err) {
-    console.error("DELETE ALL REGISTRATIONS ERROR:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete all registrations",
-      error: err.message
-    });
-  }
-});
-
 // DELETE a single course registration
-app.delete("/api/course-registrations/:id", async (req, res) => {
+app.delete("/api/course-registrations/:id", requireRole(...ADMIN_ROLES), async (req, res) => {
   const { id } = req.params;
 
   if (!id) {
@@ -1515,9 +5115,11 @@ app.delete("/api/course-registrations/:id", async (req, res) => {
   }
 
   try {
-    const deleted = await CourseRegistration.findByIdAndDelete(id);
+    const { deletedCount } = mongoose.isValidObjectId(id)
+      ? await archiveAndDelete({ kind: "course-registrations", query: { _id: id }, deletedBy: req.auth.email })
+      : { deletedCount: 0 };
 
-    if (!deleted) {
+    if (!deletedCount) {
       return res.status(404).json({ success: false, message: "Registration not found" });
     }
 
@@ -1532,25 +5134,271 @@ app.delete("/api/course-registrations/:id", async (req, res) => {
   }
 });
 
+// ================== BULK DELETE & ARCHIVE ==================
+// Bulk deletes are two-step: preview returns the matching count and a short-lived
+// confirmation token bound to those filters; delete only runs with that token.
+// Deleted documents are copied to ArchivedRecord first and can be restored
+// until the archive expires.
+const BULK_DELETE_TOKEN_TTL = "10m";
+
+const BULK_DELETABLE = {
+  "course-pins": {
+    model: CoursePin,
+    roles: ["Super Admin"],
+    // Exact-match filters; at least one is required
+    filters: {
+      courseCode: v => ({ courseCode: String(v).trim() }),
+      batch: v => ({ batch: v }),
+      used: v => ({ used: v === true || v === "true" }),
+      createdBefore: v => ({ createdAt: { $lt: new Date(v) } }),
+    },
+  },
+  "course-registrations": {
+    model: CourseRegistration,
+    roles: ["Super Admin"],
+    filters: {
+      session: v => ({ session: v }),
+      courseCode: v => ({ courseCode: String(v).trim() }),
+      department: v => ({ department: String(v).trim() }),
+      level: v => ({ level: String(v).trim() }),
+      semester: v => ({ semester: semesterNumber(v) }),
+    },
+  },
+};
+
+// Filter values that would otherwise fail as a CastError: key -> message or null
+const BULK_FILTER_CHECKS = {
+  batch: v => (mongoose.isValidObjectId(String(v)) ? null : `batch "${v}" is not a valid id`),
+  session: v => (typeof v === "string" ? null : "session must be a session id or name"),
+  createdBefore: v => (Number.isNaN(new Date(v).getTime()) ? `createdBefore "${v}" is not a valid date` : null),
+  semester: v => (semesterNumber(v) ? null : "semester must be First or Second"),
+};
+
+// { filters, query } from the request body, or { error }
+async function bulkDeleteQuery(spec, body) {
+  const filters = {};
+  for (const [key, value] of Object.entries(body.filters || {})) {
+    if (value === undefined || value === null || value === "") continue;
+    if (!spec.filters[key]) return { error: `Unknown filter "${key}"` };
+    const invalid = BULK_FILTER_CHECKS[key]?.(value);
+    if (invalid) return { error: invalid };
+    filters[key] = value;
+  }
+  if (!Object.keys(filters).length) {
+    return { error: `At least one filter is required: ${Object.keys(spec.filters).join(", ")}` };
+  }
+
+  // Sessions may be given by name
+  if (filters.session) {
+    const session = await resolveSession(filters.session);
+    if (!session) return { error: "Academic session not found" };
+    filters.session = String(session._id);
+  }
+
+  const query = {};
+  for (const [key, value] of Object.entries(filters)) Object.assign(query, spec.filters[key](value));
+  return { filters, query };
+}
+
+function sameFilters(a = {}, b = {}) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(k => String(a[k]) === String(b[k]));
+}
+
+// Copies the matching documents to the archive, then deletes them
+async function archiveAndDelete({ kind, query, deletedBy, reason, operation = crypto.randomUUID() }) {
+  const { model } = BULK_DELETABLE[kind];
+  const expiresAt = new Date(Date.now() + ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  // Archive and delete together so a failure never leaves records deleted without a copy
+  return runInTransaction(async (dbSession) => {
+    const opts = dbSession ? { session: dbSession } : {};
+    const docs = await model.find(query, null, opts).lean();
+    if (!docs.length) return { operation, deletedCount: 0 };
+
+    await ArchivedRecord.insertMany(docs.map(doc => ({
+      kind, operation, originalId: doc._id, data: doc, deletedBy, reason, expiresAt,
+    })), opts);
+    const result = await model.deleteMany({ _id: { $in: docs.map(d => d._id) } }, opts);
+    return { operation, deletedCount: result.deletedCount };
+  });
+}
+
+for (const [kind, spec] of Object.entries(BULK_DELETABLE)) {
+  // Preview: { filters } -> matching count, a sample and the confirmation token
+  app.post(`/api/${kind}/bulk-delete/preview`, requireRole(...spec.roles), async (req, res) => {
+    try {
+      const { filters, query, error } = await bulkDeleteQuery(spec, req.body);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const count = await spec.model.countDocuments(query);
+      const sample = await spec.model.find(query).limit(10).lean();
+      const confirmationToken = jwt.sign(
+        { purpose: "bulk-delete", kind, filters, count, sub: req.auth.id },
+        JWT_SECRET,
+        { expiresIn: BULK_DELETE_TOKEN_TTL }
+      );
+
+      res.json({ success: true, count, sample, filters, confirmationToken, expiresIn: BULK_DELETE_TOKEN_TTL });
+    } catch (err) {
+      console.error(`❌ Bulk delete preview error (${kind}):`, err);
+      res.status(500).json({ success: false, message: "Failed to preview bulk delete" });
+    }
+  });
+
+  // Delete: { filters, confirmationToken, reason? } with the same filters as the preview
+  app.post(`/api/${kind}/bulk-delete`, requireRole(...spec.roles), async (req, res) => {
+    try {
+      const { filters, query, error } = await bulkDeleteQuery(spec, req.body);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      let confirmed;
+      try {
+        confirmed = jwt.verify(req.body.confirmationToken || "", JWT_SECRET);
+      } catch {
+        return res.status(400).json({ success: false, message: "Confirmation token is missing or expired; preview again" });
+      }
+      if (confirmed.purpose !== "bulk-delete" || confirmed.kind !== kind || confirmed.sub !== req.auth.id || !sameFilters(confirmed.filters, filters)) {
+        return res.status(400).json({ success: false, message: "Confirmation token does not match these filters; preview again" });
+      }
+
+      const count = await spec.model.countDocuments(query);
+      if (count !== confirmed.count) {
+        return res.status(409).json({
+          success: false,
+          message: `${count} record(s) now match instead of the ${confirmed.count} previewed; preview again`,
+          count,
+        });
+      }
+
+      const { operation, deletedCount } = await archiveAndDelete({
+        kind, query, deletedBy: req.auth.email, reason: req.body.reason || "",
+      });
+
+      res.json({
+        success: true,
+        message: `${deletedCount} record(s) deleted and archived for ${ARCHIVE_RETENTION_DAYS} days`,
+        operation,
+        deletedCount,
+      });
+    } catch (err) {
+      console.error(`❌ Bulk delete error (${kind}):`, err);
+      res.status(500).json({ success: false, message: "Failed to delete records", error: err.message });
+    }
+  });
+}
+
+// Archived delete operations, newest first
+app.get("/api/archives", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const match = {};
+    if (req.query.kind) match.kind = req.query.kind;
+
+    const operations = await ArchivedRecord.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$operation",
+          kind: { $first: "$kind" },
+          count: { $sum: 1 },
+          deletedBy: { $first: "$deletedBy" },
+          reason: { $first: "$reason" },
+          deletedAt: { $first: "$createdAt" },
+          expiresAt: { $first: "$expiresAt" },
+        }
+      },
+      { $sort: { deletedAt: -1 } },
+      { $limit: 200 },
+    ]);
+    res.json({ success: true, data: operations.map(({ _id, ...op }) => ({ operation: _id, ...op })) });
+  } catch (err) {
+    console.error("❌ List archives error:", err);
+    res.status(500).json({ success: false, message: "Failed to load archives" });
+  }
+});
+
+// Puts an archived operation back; documents whose id or unique key has been
+// reused since are skipped and stay in the archive
+app.post("/api/archives/:operation/restore", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const records = await ArchivedRecord.find({ operation: req.params.operation }).lean();
+    if (!records.length) return res.status(404).json({ success: false, message: "Archive not found or expired" });
+
+    const { model } = BULK_DELETABLE[records[0].kind];
+    let restored = [];
+    try {
+      await model.collection.insertMany(records.map(r => r.data), { ordered: false });
+      restored = records;
+    } catch (err) {
+      if (err.code !== 11000 && !err.writeErrors) throw err;
+      const failed = new Set((err.writeErrors || []).map(e => e.index));
+      restored = records.filter((_, i) => !failed.has(i));
+    }
+
+    await ArchivedRecord.deleteMany({ _id: { $in: restored.map(r => r._id) } });
+    const skipped = records.length - restored.length;
+    res.json({
+      success: true,
+      message: `${restored.length} record(s) restored${skipped ? `, ${skipped} skipped as duplicates` : ""}`,
+      restored: restored.length,
+      skipped,
+    });
+  } catch (err) {
+    console.error("❌ Restore archive error:", err);
+    res.status(500).json({ success: false, message: "Failed to restore archive" });
+  }
+});
+
 // ==================== PAYMENT ROUTES ====================
 
-// Create a new payment
-app.post("/api/payments", async (req, res) => {
+// Create a new payment; the receipt number (and payment ID, unless given) is assigned here
+app.post("/api/payments", requireRole("Super Admin", "Cashier"), async (req, res) => {
   try {
-    const { matricNumber, studentName, department, level, receiptNo, amount, paymentType, semester, systemPaymentId } = req.body;
+    const { matricNumber, studentName, department, level, paymentType, semester } = req.body;
+    const systemPaymentId = String(req.body.systemPaymentId || "").trim() || newSystemPaymentId();
 
-    if (!matricNumber || !studentName || !department || !receiptNo || !amount || !paymentType || !systemPaymentId) {
+    if (!matricNumber || !studentName || !department || !level || !req.body.amount || !paymentType || !semester) {
       return res.status(400).json({ success: false, message: "All fields are required" });
     }
+    const amount = Number(req.body.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ success: false, message: "Amount must be a positive number" });
+    }
+    if (!PAYMENT_TYPES.includes(paymentType)) {
+      return res.status(400).json({ success: false, message: `paymentType must be one of ${PAYMENT_TYPES.join(", ")}` });
+    }
+    if (!PAYMENT_SEMESTERS.includes(semester)) {
+      return res.status(400).json({ success: false, message: `semester must be one of ${PAYMENT_SEMESTERS.join(", ")}` });
+    }
 
     const existing = await Payment.findOne({ systemPaymentId });
     if (existing) return res.status(400).json({ success: false, message: "Payment ID already exists" });
 
- const payment = new Payment({ matricNumber, studentName, department, level, receiptNo, amount, paymentType, semester, systemPaymentId });
+    const feeItem = String(req.body.feeItem || "tuition").trim().toLowerCase();
+    if (!FEE_ITEMS.includes(feeItem)) {
+      return res.status(400).json({ success: false, message: `feeItem must be one of ${FEE_ITEMS.join(", ")}` });
+    }
+
+    const { session, error: sessionError } = await sessionForWrite(req.body.session);
+    if (sessionError) return res.status(400).json({ success: false, message: sessionError });
+
+    const cashier = await Admin.findById(req.auth.id).select("fullname").lean();
+    const payment = new Payment({
+      matricNumber, studentName, department, level, amount, paymentType, feeItem, semester,
+      session: session?._id, systemPaymentId, recordedBy: cashier?._id, cashierName: cashier?.fullname || req.auth.email,
+    });
+    // Number and payment commit together where transactions exist, so a failed save leaves no gap
+    await runInTransaction(async (dbSession) => {
+      const opts = dbSession ? { session: dbSession } : {};
+      payment.receiptNo = await nextReceiptNo(session, opts);
+      await payment.save(opts);
+    });
 
-      await payment.save();
+    // Saved either way; the cashier is told when paymentType does not fit the fee schedule
+    const ledger = session ? await buildFeeLedger(matricNumber, session) : null;
+    const warnings = ledger?.items.find(i => i.item === feeItem)?.payments.find(p => p.systemPaymentId === systemPaymentId)?.issues || [];
 
-    res.json({ success: true, message: "Payment recorded successfully", data: payment });
+    res.json({ success: true, message: "Payment recorded successfully", data: payment, warnings });
 
   } catch (err) {
     console.error("CREATE PAYMENT ERROR:", err);
@@ -1559,9 +5407,16 @@ app.post("/api/payments", async (req, res) => {
 });
 
 // Get all payments
-app.get("/api/payments", async (req, res) => {
+app.get("/api/payments", requireRole("Super Admin", "Cashier"), async (req, res) => {
   try {
-    const payments = await Payment.find().sort({ createdAt: -1 }).lean();
+    const query = {};
+    if (req.query.session) {
+      const session = await resolveSession(req.query.session);
+      if (!session) return res.status(404).json({ success: false, message: "Academic session not found" });
+      query.session = session._id;
+    }
+
+    const payments = await Payment.find(query).sort({ createdAt: -1 }).lean();
     res.json({ success: true, data: payments });
   } catch (err) {
     console.error("GET PAYMENTS ERROR:", err);
@@ -1570,7 +5425,7 @@ app.get("/api/payments", async (req, res) => {
 });
 
 // Get payments by matric number
-app.get("/api/payments/:matricNumber", async (req, res) => {
+app.get("/api/payments/:matricNumber", requireRole(STUDENT_ROLE, "Super Admin", "Cashier"), ownMatricNo(req => req.params.matricNumber), async (req, res) => {
   try {
     const payments = await Payment.find({ matricNumber: req.params.matricNumber }).sort({ createdAt: -1 }).lean();
     if (!payments.length) return res.status(404).json({ success: false, message: "No payments found" });
@@ -1581,10 +5436,299 @@ app.get("/api/payments/:matricNumber", async (req, res) => {
   }
 });
 
+// ================== FEE SCHEDULES & BALANCES ==================
+const FEE_ITEM_LABELS = { tuition: "Tuition", acceptance: "Acceptance Fee", departmental: "Departmental Fee", ict: "ICT Fee" };
+
+// Most specific schedule per fee item: { item -> FeeSchedule }
+async function feeScheduleFor({ session, department = "", level = "" }) {
+  const schedules = await FeeSchedule.find({
+    session: session._id,
+    department: { $in: [department, ""] },
+    level: { $in: [level, ""] },
+  }).collation(CASE_INSENSITIVE).lean();
+
+  const specificity = s => (s.department ? 2 : 0) + (s.level ? 1 : 0);
+  const byItem = {};
+  for (const s of schedules.sort((a, b) => specificity(b) - specificity(a))) {
+    if (!byItem[s.item]) byItem[s.item] = s;
+  }
+  return byItem;
+}
+
+// Problems with a payment's declared paymentType given what was paid before it.
+// due is null when no schedule exists; only the ordering can be checked then.
+function paymentTypeIssues(payment, { due, paidBefore }) {
+  const issues = [];
+  const remaining = due == null ? null : due - paidBefore;
+  const amount = Number(payment.amount) || 0;
+
+  if (remaining !== null && remaining <= 0) {
+    issues.push(`Paid after ${FEE_ITEM_LABELS[payment.feeItem || "tuition"]} was already settled`);
+    return issues;
+  }
+  if (payment.paymentType === "Full Payment") {
+    if (paidBefore > 0) issues.push("Full Payment recorded after earlier payments for this item");
+    if (remaining !== null && amount < remaining) issues.push(`Full Payment of ${amount} is less than the ${remaining} due`);
+  } else if (payment.paymentType === "Part Payment") {
+    if (remaining !== null && amount >= remaining) issues.push(`Part Payment of ${amount} covers the whole ${remaining} outstanding; record it as a ${paidBefore ? "Balance" : "Full"} Payment`);
+  } else if (payment.paymentType === "Balance Payment") {
+    if (paidBefore <= 0) issues.push("Balance Payment without an earlier Part Payment");
+    if (remaining !== null && amount < remaining) issues.push(`Balance Payment of ${amount} leaves ${remaining - amount} outstanding`);
+  }
+  if (remaining !== null && amount > remaining) issues.push(`Overpays by ${amount - remaining}`);
+  return issues;
+}
+
+// Due, paid and outstanding per fee item for a student's session, with each
+// payment checked against its declared paymentType in the order it was made
+async function buildFeeLedger(matricNumber, session) {
+  const payments = await Payment.find({ matricNumber, session: session._id })
+    .collation(CASE_INSENSITIVE)
+    .sort({ createdAt: 1 })
+    .lean();
+  const student = await findStudentRecordByMatric(matricNumber);
+  if (!student && !payments.length) return null;
+
+  // Department/level as paid that session, else as on the student record
+  const latest = payments[payments.length - 1];
+  const department = latest?.department || student?.department || "";
+  const level = latest?.level || student?.level || "";
+  const schedule = await feeScheduleFor({ session, department, level });
+
+  const items = FEE_ITEMS.map(item => {
+    const due = schedule[item]?.amount ?? null;
+    let paid = 0;
+    const itemPayments = payments.filter(p => (p.feeItem || "tuition") === item).map(p => {
+      const issues = paymentTypeIssues(p, { due, paidBefore: paid });
+      paid += Number(p.amount) || 0;
+      return {
+        systemPaymentId: p.systemPaymentId,
+        receiptNo: p.receiptNo,
+        amount: p.amount,
+        paymentType: p.paymentType,
+        semester: p.semester,
+        paidAt: p.createdAt,
+        issues,
+      };
+    });
+    const status = due == null ? (paid ? "no-schedule" : "not-billed")
+      : paid >= due ? "paid" : paid > 0 ? "part-paid" : "unpaid";
+    return {
+      item,
+      label: FEE_ITEM_LABELS[item],
+      due,
+      paid,
+      outstanding: due == null ? null : Math.max(due - paid, 0),
+      overpaid: due == null ? 0 : Math.max(paid - due, 0),
+      status,
+      payments: itemPayments,
+    };
+  });
+
+  const issues = items.flatMap(i => i.payments.flatMap(p => p.issues.map(issue => ({ item: i.item, systemPaymentId: p.systemPaymentId, issue }))));
+  return {
+    matricNumber: student?.matricNo || matricNumber,
+    studentName: latest?.studentName || student?.fullname || "",
+    department,
+    level,
+    session: session.name,
+    items,
+    totals: {
+      due: items.reduce((s, i) => s + (i.due || 0), 0),
+      paid: items.reduce((s, i) => s + i.paid, 0),
+      outstanding: items.reduce((s, i) => s + (i.outstanding || 0), 0),
+    },
+    consistent: !issues.length,
+    issues,
+  };
+}
+
+// ?session=&department=&level=
+app.get("/api/fee-schedules", requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const session = await resolveSession(req.query.session);
+    if (!session) return res.status(404).json({ success: false, message: "Academic session not found" });
+    const query = { session: session._id };
+    if (req.query.department) query.department = req.query.department.trim();
+    if (req.query.level) query.level = req.query.level.trim();
+
+    const schedules = await FeeSchedule.find(query)
+      .collation(CASE_INSENSITIVE)
+      .sort({ department: 1, level: 1, item: 1 })
+      .lean();
+    res.json({ success: true, session: session.name, data: schedules });
+  } catch (err) {
+    console.error("❌ List fee schedules error:", err);
+    res.status(500).json({ success: false, message: "Failed to load fee schedules" });
+  }
+});
+
+// Create or replace the amount for { session, department?, level?, item }
+app.put("/api/fee-schedules", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const department = String(req.body.department || "").trim();
+    const level = String(req.body.level || "").trim();
+    const item = String(req.body.item || "").trim().toLowerCase();
+    const amount = Number(req.body.amount);
+
+    if (!FEE_ITEMS.includes(item)) {
+      return res.status(400).json({ success: false, message: `item must be one of ${FEE_ITEMS.join(", ")}` });
+    }
+    if (!Number.isFinite(amount) || amount < 0) {
+      return res.status(400).json({ success: false, message: "amount must be a number of at least 0" });
+    }
+    const { session, error: sessionError } = await sessionForWrite(req.body.session);
+    if (sessionError || !session) return res.status(400).json({ success: false, message: sessionError || "No academic session is current" });
+
+    const schedule = await FeeSchedule.findOneAndUpdate(
+      { session: session._id, department, level, item },
+      { session: session._id, department, level, item, amount, updatedBy: req.auth.email },
+      { new: true, upsert: true, collation: CASE_INSENSITIVE }
+    );
+    res.json({ success: true, message: "Fee schedule saved", data: schedule });
+  } catch (err) {
+    console.error("❌ Save fee schedule error:", err);
+    res.status(500).json({ success: false, message: "Failed to save fee schedule", error: err.message });
+  }
+});
+
+app.delete("/api/fee-schedules/:id", requireRole("Super Admin"), async (req, res) => {
+  try {
+    const deleted = await FeeSchedule.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, message: "Fee schedule not found" });
+    res.json({ success: true, message: "Fee schedule deleted" });
+  } catch (err) {
+    console.error("❌ Delete fee schedule error:", err);
+    res.status(500).json({ success: false, message: "Failed to delete fee schedule" });
+  }
+});
+
+// Per-item ledger for ?session= (default current)
+app.get("/api/payments/:matricNumber/balance", requireRole(STUDENT_ROLE, "Super Admin", "Cashier"), ownMatricNo(req => req.params.matricNumber), async (req, res) => {
+  try {
+    const session = await resolveSession(req.query.session);
+    if (!session) return res.status(404).json({ success: false, message: "Academic session not found" });
+
+    const ledger = await buildFeeLedger(req.params.matricNumber.trim(), session);
+    if (!ledger) return res.status(404).json({ success: false, message: "Student not found" });
+    res.json({ success: true, data: ledger });
+  } catch (err) {
+    console.error("❌ Fee balance error:", err);
+    res.status(500).json({ success: false, message: "Failed to compute balance" });
+  }
+});
+
+// ================== RECEIPTS ==================
+// Receipt numbers run per session: RCP/2025-2026/000042 (prefix from RECEIPT_PREFIX)
+const RECEIPT_PREFIX = process.env.RECEIPT_PREFIX || "RCP";
+
+async function nextReceiptNo(session, opts = {}) {
+  const counter = await Counter.findOneAndUpdate(
+    { key: `receipt:${session?._id || "none"}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, ...opts }
+  );
+  const sessionPart = session ? session.name.replace(/\//g, "-") : "";
+  return [RECEIPT_PREFIX, sessionPart, String(counter.seq).padStart(6, "0")].filter(Boolean).join("/");
+}
+
+function newSystemPaymentId() {
+  return `PAY/EF/${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+}
+
+const ONES = ["", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen"];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+function wordsBelowThousand(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const restWords = rest < 20 ? ONES[rest] : TENS[Math.floor(rest / 10)] + (rest % 10 ? `-${ONES[rest % 10]}` : "");
+  return [hundreds ? `${ONES[hundreds]} Hundred` : "", restWords].filter(Boolean).join(" and ");
+}
+
+// 150005 -> "One Hundred and Fifty Thousand and Five"
+function numberInWords(n) {
+  if (!n) return "Zero";
+  const scales = ["", "Thousand", "Million", "Billion"];
+  const parts = [];
+  for (let i = 0, rest = n; rest > 0; i++, rest = Math.floor(rest / 1000)) {
+    const chunk = rest % 1000;
+    if (chunk) parts.unshift(wordsBelowThousand(chunk) + (scales[i] ? ` ${scales[i]}` : ""));
+  }
+  if (n >= 1000 && n % 1000 && n % 1000 < 100) parts[parts.length - 1] = `and ${parts[parts.length - 1]}`;
+  return parts.join(" ");
+}
+
+function amountInWords(amount) {
+  const naira = Math.floor(amount);
+  const kobo = Math.round((amount - naira) * 100);
+  return `${numberInWords(naira)} Naira${kobo ? ` and ${numberInWords(kobo)} Kobo` : ""} Only`;
+}
+
+const formatNaira = amount => `NGN ${Number(amount).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+function writeReceiptDetails(doc, rows) {
+  const { left } = doc.page.margins;
+  const width = doc.page.width - left - doc.page.margins.right;
+  doc.moveDown();
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.font("Helvetica-Bold").fontSize(10).text(label, left + 6, y + 6, { width: 140 });
+    doc.font("Helvetica").text(String(value ?? "-"), left + 152, y + 6, { width: width - 158 });
+    const bottom = Math.max(doc.y, y + 18) + 4;
+    doc.rect(left, y, width, bottom - y).strokeColor("#ccc").stroke();
+    doc.x = left;
+    doc.y = bottom;
+  }
+}
+
+// Official receipt with a fresh verification code; students get their own only
+app.get("/api/payments/receipt/:systemPaymentId.pdf", requireRole(STUDENT_ROLE, "Super Admin", "Cashier"), requireVerificationSecret, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ systemPaymentId: req.params.systemPaymentId }).lean();
+    if (!payment) return res.status(404).json({ success: false, message: "Payment not found" });
+    if (req.auth.role === STUDENT_ROLE && !sameText(await studentMatricNo(req), payment.matricNumber)) {
+      return res.status(403).json({ success: false, message: "You can only access your own records" });
+    }
+
+    const session = payment.session ? await AcademicSession.findById(payment.session).select("name").lean() : null;
+    const cashier = payment.cashierName
+      || (payment.recordedBy ? (await Admin.findById(payment.recordedBy).select("fullname").lean())?.fullname : null);
+    const issued = await issueReceiptDocument(payment, req.auth.email || req.auth.id);
+    const qr = await verificationQr(issued.code);
+
+    const pdf = await renderPdf(doc => {
+      writeDocumentHeader(doc, {
+        title: "OFFICIAL PAYMENT RECEIPT",
+        student: { fullname: payment.studentName, department: payment.department, level: payment.level },
+        summary: { matricNo: payment.matricNumber },
+      });
+      writeReceiptDetails(doc, [
+        ["Receipt No", payment.receiptNo],
+        ["Payment ID", payment.systemPaymentId],
+        ["Date", new Date(payment.createdAt).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" })],
+        ["Session", session?.name],
+        ["Semester", payment.semester],
+        ["Fee Item", FEE_ITEM_LABELS[payment.feeItem || "tuition"]],
+        ["Payment Type", payment.paymentType],
+        ["Amount", formatNaira(payment.amount)],
+        ["Amount in Words", amountInWords(payment.amount)],
+        ["Received By", cashier],
+      ]);
+      writeVerificationFooter(doc, issued, qr);
+    });
+    sendPdf(res, pdf, `receipt_${payment.receiptNo || payment.systemPaymentId}.pdf`);
+  } catch (err) {
+    console.error("❌ Receipt PDF error:", err);
+    res.status(500).json({ success: false, message: "Failed to generate receipt" });
+  }
+});
+
 // Fetch student by matric number (for payment page)
-app.get("/api/students/matric/:matricNumber", async (req, res) => {
+app.get("/api/students/matric/:matricNumber", requireRole(...STAFF_ROLES), async (req, res) => {
   try {
-    const student = await StudentProfile.findOne({ matricNo: req.params.matricNumber }).lean();
+    const student = await findStudentRecordByMatric(req.params.matricNumber);
     if (!student) return res.status(404).json({ success: false, message: "Student not found" });
 
     const studentName = `${student.firstname || ''} ${student.middlename || ''} ${student.surname || ''}`.trim();
@@ -1602,7 +5746,7 @@ app.get("/api/students/matric/:matricNumber", async (req, res) => {
 });
 
 // VERIFY STUDENT PROFILE
-app.put("/api/students/verify/:id", async (req, res) => {
+app.put("/api/students/verify/:id", requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
     const student = await StudentProfile.findByIdAndUpdate(
       req.params.id,
@@ -1622,7 +5766,7 @@ app.put("/api/students/verify/:id", async (req, res) => {
 });
 
 // VERIFY STUDENT PROFILE BY MATRIC NUMBER
-app.put("/api/students/verify/matric/:matricNo", async (req, res) => {
+app.put("/api/students/verify/matric/:matricNo", requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
     const student = await StudentProfile.findOneAndUpdate(
       { matricNo: req.params.matricNo },
@@ -1643,9 +5787,9 @@ app.put("/api/students/verify/matric/:matricNo", async (req, res) => {
 
 
 // =================== SINGLE STUDENT DOWNLOAD ===================
-app.get("/api/students/:id/download", async (req, res) => {
+app.get("/api/students/:id/download", requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
-    const student = await Student.findById(req.params.id).lean();
+    const student = await findStudentRecord({ _id: req.params.id });
     if (!student)
       return res.status(404).json({ success: false, message: "Student not found" });
 
@@ -1710,9 +5854,17 @@ app.get("/api/students/:id/download", async (req, res) => {
 
     pdf.end();
 
-    pdfStream.on("finish", () => {
+    pdfStream.on("finish", async () => {
       const pdfBuffer = pdfStream.getContents();
       archive.append(pdfBuffer, { name: `${fullName.replace(/\s+/g, "_")}.pdf` });
+
+      // Transcript, when the student has results
+      try {
+        const transcript = student.matricNo && VERIFICATION_SECRET ? await buildTranscriptPdf(student.matricNo, req.auth.email) : null;
+        if (transcript) archive.append(transcript, { name: `${fullName.replace(/\s+/g, "_")}_transcript.pdf` });
+      } catch (err) {
+        console.error("❌ Transcript for bundle failed:", err);
+      }
       archive.finalize();
     });
   } catch (error) {
@@ -1722,9 +5874,10 @@ app.get("/api/students/:id/download", async (req, res) => {
 });
 
 // =================== BULK DOWNLOAD ===================
-app.get("/api/students/download/all", async (req, res) => {
+app.get("/api/students/download/all", requireRole(...ADMIN_ROLES), async (req, res) => {
   try {
-    const students = await Student.find().lean();
+    const students = (await Student.find().populate("profile").lean())
+      .map(s => toStudentRecord(s, s.profile));
     if (!students.length)
       return res.status(404).json({ success: false, message: "No students found" });
 
@@ -1796,23 +5949,128 @@ app.get("/api/students/download/all", async (req, res) => {
   }
 });
 
-// ---------------- Reset Student Password ----------------
-app.patch("/api/students/reset-password-email", async (req, res) => {
+// ---------------- Password Reset (request + confirm) ----------------
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES) || 30;
+const RESET_MAX_PER_HOUR = 3; // per account, extra requests are silently dropped
+
+function hashResetToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Drop every outstanding reset token once an account's password changes
+async function invalidateResetTokens(accountType, accountId) {
+  await PasswordReset.deleteMany({ accountType, accountId });
+}
+
+const resetRequestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: "Too many reset requests, please try again later",
+});
+const resetConfirmLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: "Too many reset attempts, please try again later",
+});
+
+// Step 1: email a single-use reset link (same response whether or not the email exists)
+app.post("/api/password-reset/request", resetRequestLimiter, async (req, res) => {
+  try {
+    if (!mailer) {
+      return res.status(503).json({ success: false, message: "Password reset by email is not available; please contact the admin office" });
+    }
+    const email = normalizeEmail(req.body.email);
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Email is required" });
+    }
+
+    const generic = {
+      success: true,
+      message: "If an account exists for this email, a reset link has been sent.",
+    };
+
+    let accountType = "Student";
+    let account = await Student.findOne({ email });
+    if (!account) {
+      accountType = "Admin";
+      account = await Admin.findOne({ email: { $regex: `^${escapeRegex(email)}$`, $options: "i" } });
+    }
+    if (!account) return res.json(generic);
+
+    const recent = await PasswordReset.countDocuments({
+      accountType,
+      accountId: account._id,
+      createdAt: { $gt: new Date(Date.now() - 60 * 60 * 1000) },
+    });
+    if (recent >= RESET_MAX_PER_HOUR) return res.json(generic);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    await PasswordReset.create({
+      accountType,
+      accountId: account._id,
+      tokenHash: hashResetToken(token),
+      expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+      requestedIp: req.ip,
+    });
+
+    const link = `${allowedOrigins[0]}/reset-password.html?token=${token}`;
+    try {
+      await mailer.send({
+        to: account.email,
+        subject: "ICT Registration Portal – Password Reset",
+        text:
+          `A password reset was requested for your account.\n\n` +
+          `Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new password:\n${link}\n\n` +
+          `If you did not request this, you can ignore this email.`,
+      });
+    } catch (mailErr) {
+      console.error("❌ Reset mail error:", mailErr);
+    }
+
+    res.json(generic);
+  } catch (err) {
+    console.error("❌ Reset request error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Step 2: redeem the token and set the new password
+app.post("/api/password-reset/confirm", resetConfirmLimiter, async (req, res) => {
   try {
-    const { email, newPassword } = req.body;
+    const { token, newPassword, confirmPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ success: false, message: "Token and new password are required" });
+    }
+    if (confirmPassword !== undefined && newPassword !== confirmPassword) {
+      return res.status(400).json({ success: false, message: "Passwords do not match" });
+    }
 
-    const student = await Student.findOneAndUpdate(
-      { email },
-      { password: newPassword },
+    // Marking the token used in the same update makes it single-use under concurrency
+    const reset = await PasswordReset.findOneAndUpdate(
+      { tokenHash: hashResetToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
       { new: true }
     );
+    if (!reset) {
+      return res.status(400).json({ success: false, message: "Reset link is invalid or has expired" });
+    }
 
-    if (!student)
-      return res.status(404).json({ success: false, message: "Student not found" });
+    const Model = reset.accountType === "Admin" ? Admin : Student;
+    const updated = await Model.findByIdAndUpdate(reset.accountId, {
+      password: await hashPassword(normalizePassword(newPassword)),
+    });
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Account not found" });
+    }
+
+    await invalidateResetTokens(reset.accountType, reset.accountId);
+    // A proven owner should not stay locked out by earlier guesses
+    await LoginAttempt.deleteOne({ key: `account:${normalizeEmail(updated.email)}` });
 
-    res.json({ success: true });
+    res.json({ success: true, message: "Password updated successfully" });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    console.error("❌ Reset confirm error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 